@@ -0,0 +1,203 @@
+/*
+  calibrationEngine.js
+  --------------------
+  Compares the tier curves in valuationCurves.json with what our own
+  loans actually did, and builds a calibrated curve set from the two.
+
+  Observed rates come from each loan's amort schedule (so prepayment,
+  default and modification events are already applied):
+  - exposure:  balance at the start of each loan-month through asOf
+  - prepaid:   unscheduled principal (row.prepayment)
+  - defaulted: balance charged off in the default month
+
+  Loan-months are bucketed by risk tier and loan age in years of
+  repayment (in-school, grace and deferral months count as age 0, the
+  same age valueLoan reads the curves at). Monthly rates (Σ amount / Σ exposure) are
+  annualized: CPR = 1 − (1 − SMM)^12, CDR = 1 − (1 − MDR)^12. Everything
+  is reported in percent, like the curve file.
+
+  Blending, per tier and age bucket:
+  - "credibility": Z = min(1, √(loanYears / fullCredibilityLoanYears))
+  - "blend":       Z = fixed observedWeight
+  blended = Z × observed + (1 − Z) × assumed (assumed when nothing observed)
+
+  - No DOM access
+*/
+
+import { buildAmortSchedule } from "./loanEngine.js?v=dev";
+import { deriveRiskTier, VALUATION_CURVES } from "./valuationEngine.js?v=dev";
+
+function annualize(monthlyRate) {
+  return (1 - Math.pow(1 - monthlyRate, 12)) * 100;
+}
+
+// Annual default % by year from a cumulative curve (same reading as valueLoan)
+function assumedCdrByYear(curve) {
+  const cum = curve?.defaultCurve?.cumulativeDefaultPct || [];
+  return cum.map((c, i) => (i === 0 ? c : c - cum[i - 1]));
+}
+
+function round2(v) {
+  return Math.round(v * 100) / 100;
+}
+
+// ================================
+// OBSERVED PERFORMANCE
+// ================================
+
+// Per loan: [{ age, exposure, prepaid, defaulted }] one entry per loan-month
+function observeLoanMonths(loan, asOf) {
+  const schedule = buildAmortSchedule(loan);
+  if (!schedule.length) return [];
+
+  const out = [];
+  let startBalance = null;
+  let repaymentMonths = 0;   // before this row
+
+  for (const r of schedule) {
+    if (r.loanDate > asOf) break;
+    if (r.isRecoveryPeriod && !r.defaulted) break; // collections only after the charge-off
+
+    // Balance at the start of the month: prior closing balance
+    const exposure = startBalance ?? (Number(r.balance) + Number(r.principalPaid || 0));
+    const defaulted = r.defaulted
+      ? Number(r.exposureAtDefault ?? exposure) || 0
+      : 0;
+
+    if (exposure > 0) {
+      out.push({
+        age: Math.floor(repaymentMonths / 12),
+        exposure,
+        prepaid: Number(r.prepayment) || 0,
+        defaulted
+      });
+    }
+
+    if (r.defaulted || r.isTerminal) break;
+    startBalance = Number(r.balance) || 0;
+    if (!r.isDeferred && !r.isGrace) repaymentMonths++;
+  }
+
+  return out;
+}
+
+// Observed vs assumed CPR / CDR by tier and loan age.
+// getBorrower(loan) supplies the borrower used to tier the loan.
+export function computeObservedCurves({ loans = [], getBorrower = () => ({}), asOf = new Date(), curves = VALUATION_CURVES } = {}) {
+  const tiers = {};
+  const bucket = (tier, age) => {
+    tiers[tier] ??= { loanCount: 0, years: [] };
+    tiers[tier].years[age] ??= { year: age + 1, loanMonths: 0, exposure: 0, prepaid: 0, defaulted: 0 };
+    return tiers[tier].years[age];
+  };
+
+  loans.forEach(loan => {
+    const months = observeLoanMonths(loan, asOf);
+    if (!months.length) return;
+
+    const tier = deriveRiskTier(getBorrower(loan) || {});
+    months.forEach(m => {
+      const b = bucket(tier, m.age);
+      b.loanMonths++;
+      b.exposure += m.exposure;
+      b.prepaid += m.prepaid;
+      b.defaulted += m.defaulted;
+    });
+    tiers[tier].loanCount++;
+  });
+
+  Object.entries(curves?.riskTiers || {}).forEach(([tier, curve]) => {
+    tiers[tier] ??= { loanCount: 0, years: [] };
+    const assumedCpr = curve.prepaymentCurve?.valuesPct || [];
+    const assumedCdr = assumedCdrByYear(curve);
+    const length = Math.max(assumedCpr.length, assumedCdr.length);
+
+    for (let age = 0; age < length; age++) {
+      const b = tiers[tier].years[age] ?? { year: age + 1, loanMonths: 0, exposure: 0, prepaid: 0, defaulted: 0 };
+      tiers[tier].years[age] = {
+        ...b,
+        loanYears: b.loanMonths / 12,
+        observedCPR: b.exposure > 0 ? annualize(b.prepaid / b.exposure) : null,
+        observedCDR: b.exposure > 0 ? annualize(b.defaulted / b.exposure) : null,
+        assumedCPR: assumedCpr[age] ?? assumedCpr.at(-1) ?? 0,
+        assumedCDR: assumedCdr[age] ?? assumedCdr.at(-1) ?? 0
+      };
+    }
+  });
+
+  return { asOf, tiers };
+}
+
+// ================================
+// BLENDING
+// ================================
+
+export function blendObservedCurves(observed, { method = "credibility", observedWeight = 0.5, fullCredibilityLoanYears = 100 } = {}) {
+  const weightFor = b => {
+    if (!(b.loanYears > 0) || b.observedCPR == null) return 0;
+    if (method === "blend") return Math.min(1, Math.max(0, Number(observedWeight) || 0));
+    return Math.min(1, Math.sqrt(b.loanYears / Math.max(1, Number(fullCredibilityLoanYears) || 1)));
+  };
+
+  const tiers = Object.fromEntries(
+    Object.entries(observed.tiers).map(([tier, t]) => [
+      tier,
+      {
+        ...t,
+        years: t.years.map(b => {
+          if (!b || b.assumedCPR == null) return b;
+          const z = weightFor(b);
+          return {
+            ...b,
+            weight: z,
+            blendedCPR: z * (b.observedCPR ?? 0) + (1 - z) * b.assumedCPR,
+            blendedCDR: z * (b.observedCDR ?? 0) + (1 - z) * b.assumedCDR
+          };
+        })
+      }
+    ])
+  );
+
+  return { ...observed, method, observedWeight, fullCredibilityLoanYears, tiers };
+}
+
+// ================================
+// EXPORT
+// ================================
+
+// New valuationCurves.json contents with the blended tier curves and a
+// bumped minor version; everything else is carried over unchanged
+export function buildCalibratedCurveSet(blended, curves = VALUATION_CURVES) {
+  const next = JSON.parse(JSON.stringify(curves || {}));
+  delete next.sha;
+
+  Object.entries(next.riskTiers || {}).forEach(([tier, curve]) => {
+    const years = (blended.tiers[tier]?.years || []).filter(b => b?.blendedCPR != null);
+    if (!years.length) return;
+
+    let cum = 0;
+    curve.prepaymentCurve.valuesPct = years.map(b => round2(b.blendedCPR));
+    curve.defaultCurve.cumulativeDefaultPct = years.map(b => round2((cum += b.blendedCDR)));
+  });
+
+  const [major, minor] = String(next.metadata?.version || "1.0").split(".").map(n => Number(n) || 0);
+  const asOf = blended.asOf instanceof Date ? blended.asOf : new Date(blended.asOf);
+  const isoDate = d => d.getFullYear() + "-" + String(d.getMonth() + 1).padStart(2, "0") + "-" + String(d.getDate()).padStart(2, "0");
+
+  next.metadata = {
+    ...next.metadata,
+    version: `${major}.${minor + 1}`,
+    effectiveDate: isoDate(new Date()),
+    created: isoDate(new Date()),
+    calibration: {
+      basedOnVersion: curves?.metadata?.version || null,
+      asOf: isoDate(asOf),
+      method: blended.method,
+      ...(blended.method === "blend"
+        ? { observedWeight: blended.observedWeight }
+        : { fullCredibilityLoanYears: blended.fullCredibilityLoanYears })
+    }
+  };
+
+  return next;
+}
@@ -0,0 +1,208 @@
+/*
+  curveSchema.js
+  --------------
+  Validation for the editable valuation assumption files:
+  - valuationCurves.json: risk-tier curves, tier matrix, stress scenarios
+  - schoolTiers.json:     OPEID → school tier
+
+  Used by the worker (rejects a bad POST) and the admin editor (checks
+  before saving). Each validator returns a list of error messages; an
+  empty list means the file can be saved.
+
+  Every saved set carries a version label, higher than the one it
+  replaces, and the date it takes effect:
+  - valuationCurves.json: metadata.version, metadata.effectiveDate
+  - schoolTiers.json:     _metadata.version, _metadata.effectiveDate
+
+  - No DOM access
+  - No imports (the worker bundles this file as-is)
+*/
+
+export const REQUIRED_RISK_TIERS = ["LOW", "MEDIUM", "HIGH", "VERY_HIGH"];
+export const SCHOOL_TIER_NAMES = ["Tier 1", "Tier 2", "Tier 3"];
+
+function isIsoDate(value) {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const [y, m, d] = value.split("-").map(Number);
+  const date = new Date(y, m - 1, d);
+  return date.getFullYear() === y && date.getMonth() === m - 1 && date.getDate() === d;
+}
+
+function isNumberIn(value, min, max) {
+  return typeof value === "number" && Number.isFinite(value) && value >= min && value <= max;
+}
+
+function checkVersion(meta, where, errors) {
+  if (!meta || typeof meta !== "object") {
+    errors.push(`${where} is missing`);
+    return;
+  }
+  if (typeof meta.version !== "string" || !meta.version.trim()) {
+    errors.push(`${where}.version is required`);
+  }
+  if (!isIsoDate(meta.effectiveDate)) {
+    errors.push(`${where}.effectiveDate must be a YYYY-MM-DD date`);
+  }
+}
+
+// Dotted version labels compared part by part as numbers ("1.10" > "1.9");
+// negative when a is older than b
+export function compareVersions(a, b) {
+  const pa = String(a ?? "").split(".").map(n => Number(n) || 0);
+  const pb = String(b ?? "").split(".").map(n => Number(n) || 0);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const diff = (pa[i] || 0) - (pb[i] || 0);
+    if (diff) return diff;
+  }
+  return 0;
+}
+
+function checkPctList(list, where, errors) {
+  if (!Array.isArray(list) || !list.length) {
+    errors.push(`${where} needs at least one value`);
+    return false;
+  }
+  const bad = list.findIndex(v => !isNumberIn(v, 0, 100));
+  if (bad >= 0) {
+    errors.push(`${where}[${bad}] must be a % between 0 and 100`);
+    return false;
+  }
+  return true;
+}
+
+// ================================
+// VALUATION CURVES
+// ================================
+
+export function validateValuationCurves(curves) {
+  const errors = [];
+  if (!curves || typeof curves !== "object") return ["Valuation curves must be a JSON object"];
+
+  checkVersion(curves.metadata, "metadata", errors);
+
+  const tiers = curves.riskTiers;
+  if (!tiers || typeof tiers !== "object") {
+    errors.push("riskTiers is missing");
+    return errors;
+  }
+
+  const required = Array.isArray(curves.riskTierMatrix?.tiers) && curves.riskTierMatrix.tiers.length
+    ? curves.riskTierMatrix.tiers
+    : REQUIRED_RISK_TIERS;
+  required
+    .filter(name => !tiers[name])
+    .forEach(name => errors.push(`riskTiers.${name} is missing`));
+
+  Object.entries(tiers).forEach(([name, tier]) => {
+    const at = `riskTiers.${name}`;
+
+    const cum = tier?.defaultCurve?.cumulativeDefaultPct;
+    if (checkPctList(cum, `${at}.defaultCurve.cumulativeDefaultPct`, errors)) {
+      const drop = cum.findIndex((v, i) => i > 0 && v < cum[i - 1]);
+      if (drop > 0) {
+        errors.push(`${at}.defaultCurve.cumulativeDefaultPct must not decrease (year ${drop + 1}: ${cum[drop]} < ${cum[drop - 1]})`);
+      }
+    }
+
+    checkPctList(tier?.prepaymentCurve?.valuesPct, `${at}.prepaymentCurve.valuesPct`, errors);
+
+    if (!isNumberIn(tier?.recovery?.grossRecoveryPct, 0, 100)) {
+      errors.push(`${at}.recovery.grossRecoveryPct must be a % between 0 and 100`);
+    }
+    if (!isNumberIn(tier?.recovery?.recoveryLagMonths, 0, 120)) {
+      errors.push(`${at}.recovery.recoveryLagMonths must be 0–120 months`);
+    }
+    if (!isNumberIn(tier?.riskPremiumBps, 0, 5000)) {
+      errors.push(`${at}.riskPremiumBps must be 0–5000 bps`);
+    }
+  });
+
+  checkRiskTierMatrix(curves.riskTierMatrix, errors);
+
+  Object.entries(curves.stressScenarios || {}).forEach(([name, s]) => {
+    ["defaultMultiplier", "prepaymentMultiplier", "recoveryMultiplier", "recoveryLagMultiplier"].forEach(field => {
+      if (s?.[field] != null && !isNumberIn(s[field], 0, 100)) {
+        errors.push(`stressScenarios.${name}.${field} must be a number ≥ 0`);
+      }
+    });
+    if (s?.discountShiftBps != null && !isNumberIn(s.discountShiftBps, -5000, 5000)) {
+      errors.push(`stressScenarios.${name}.discountShiftBps must be a number of bps`);
+    }
+  });
+
+  ["indexByLoanAge", "conditionalDefaults"].forEach(field => {
+    if (curves.seasoning?.[field] != null && typeof curves.seasoning[field] !== "boolean") {
+      errors.push(`seasoning.${field} must be true or false`);
+    }
+  });
+
+  return errors;
+}
+
+// Every cell must name one of the matrix's tiers (the engine reads any
+// other value as the worst tier) and every notch must be a number
+function checkRiskTierMatrix(matrix, errors) {
+  if (!matrix || typeof matrix !== "object") {
+    errors.push("riskTierMatrix is missing");
+    return;
+  }
+  const tiers = matrix.tiers;
+  if (!Array.isArray(tiers) || !tiers.length) {
+    errors.push("riskTierMatrix.tiers needs at least one tier");
+    return;
+  }
+  if (!matrix.base || typeof matrix.base !== "object") {
+    errors.push("riskTierMatrix.base is missing");
+  } else {
+    Object.entries(matrix.base).forEach(([band, row]) => {
+      if (!row || typeof row !== "object") {
+        errors.push(`riskTierMatrix.base.${band} must map school tiers to risk tiers`);
+        return;
+      }
+      Object.entries(row).forEach(([schoolTier, tier]) => {
+        if (!tiers.includes(tier)) {
+          errors.push(`riskTierMatrix.base.${band}["${schoolTier}"] must be one of ${tiers.join(", ")} (got "${tier}")`);
+        }
+      });
+    });
+  }
+
+  Object.entries(matrix.yearInSchoolNotches || {}).forEach(([band, years]) => {
+    Object.entries(years || {}).forEach(([year, notch]) => {
+      if (typeof notch !== "number" || !Number.isFinite(notch)) {
+        errors.push(`riskTierMatrix.yearInSchoolNotches.${band}["${year}"] must be a number`);
+      }
+    });
+  });
+  if (matrix.graduateNotch != null && (typeof matrix.graduateNotch !== "number" || !Number.isFinite(matrix.graduateNotch))) {
+    errors.push("riskTierMatrix.graduateNotch must be a number");
+  }
+}
+
+// ================================
+// SCHOOL TIERS
+// ================================
+
+export function validateSchoolTiers(tiers) {
+  const errors = [];
+  if (!tiers || typeof tiers !== "object" || Array.isArray(tiers)) return ["School tiers must be a JSON object keyed by OPEID"];
+
+  checkVersion(tiers._metadata, "_metadata", errors);
+
+  if (!tiers.DEFAULT) errors.push("DEFAULT entry is missing (used for unknown schools)");
+
+  Object.entries(tiers).forEach(([opeid, school]) => {
+    if (opeid.startsWith("_")) return;
+    if (!SCHOOL_TIER_NAMES.includes(school?.tier)) {
+      errors.push(`${opeid}: tier must be one of ${SCHOOL_TIER_NAMES.join(", ")}`);
+    }
+    if (school?.grad_rate != null && !isNumberIn(school.grad_rate, 0, 1)) {
+      errors.push(`${opeid}: grad_rate must be between 0 and 1`);
+    }
+    if (school?.median_earnings_10yr != null && !isNumberIn(school.median_earnings_10yr, 0, 1e7)) {
+      errors.push(`${opeid}: median_earnings_10yr must be a positive amount`);
+    }
+  });
+
+  return errors;
+}
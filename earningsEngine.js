@@ -21,7 +21,9 @@ import {
   isDeferredMonth,
    GLOBAL_FEE_CONFIG,
   resolveFeeWaiverFlags,     // ← we'll use this later
-  getMonthlyServicingRate    // ← we'll use this later
+  getMonthlyServicingRate,   // ← we'll use this later
+  accruesDaily,
+  daysBetween
 } from "./loanEngine.js?v=dev";
 
 import { USERS } from "./users.js?v=dev";
@@ -77,6 +79,7 @@ function getOwnershipPctForMonth(ownershipLots, loanDate, user) {
  * @param {string} params.purchaseDate    YYYY-MM-DD
  * @param {Array}  params.events          Loan events
  * @param {Date}   params.today           Canonical "today"
+ * @param {string} params.dayCount        Loan day-count convention
  *
  * @returns {Array<EarningsRow>}
  */
@@ -87,7 +90,8 @@ export function buildEarningsSchedule({
   ownershipLots = [],
   user,
   events = [],
-  today
+  today,
+  dayCount = "30/360"
 }) {
   if (!Array.isArray(amortSchedule) || amortSchedule.length === 0) {
     return [];
@@ -134,6 +138,27 @@ const normalized = amortSchedule.map((row, idx) => {
       }, 0)
     : 0;
 
+  // Daily accrual: a lot bought mid-period only earns interest from its
+  // purchase date, so scale its share of the period's interest by days owned
+  const interestOwnershipPct =
+    accruesDaily(dayCount) && Array.isArray(ownershipLots) && row.accrualStart && row.accrualEnd
+      ? ownershipLots.reduce((sum, lot) => {
+          if (!lot || lot.user !== user) return sum;
+
+          const start = parseISODateLocal(lot.purchaseDate);
+          if (!(start instanceof Date) || !Number.isFinite(start.getTime())) return sum;
+
+          const startMonth = new Date(start.getFullYear(), start.getMonth(), 1);
+          if (loanDate < startMonth) return sum;
+
+          const pct = Number(lot.pct || 0);
+          if (start <= row.accrualStart || start >= row.accrualEnd) return sum + pct;
+
+          const periodDays = daysBetween(row.accrualStart, row.accrualEnd);
+          return sum + pct * daysBetween(start, row.accrualEnd) / periodDays;
+        }, 0)
+      : ownershipPct;
+
   const isOwned = ownershipPct > 0;
   const isFirstPeriod = idx === 0;   // ✅ ADD THIS
 
@@ -141,6 +166,7 @@ const normalized = amortSchedule.map((row, idx) => {
     ...row,
     loanDate,
     ownershipPct,
+    interestOwnershipPct,
     isOwned,
     isFirstPeriod                // ✅ AND EXPOSE IT
   };
@@ -216,7 +242,8 @@ principalThisMonth =
 
       // 🔑 PAID INTEREST = amort interest AFTER grace only
       interestThisMonth =
-        (Number(row.payment || 0) > 0 ? Number(row.interest || 0) : 0) * scale;
+        (Number(row.payment || 0) > 0 ? Number(row.interest || 0) : 0) *
+        Number(row.interestOwnershipPct ?? scale);
 
       feesThisMonth = feeThisMonth;
     }
@@ -242,6 +269,16 @@ principalThisMonth =
       );
     }
 
+    // ---- post-default recoveries (net of collection costs) ----
+    // Each owner's share follows the lots active in the receipt month;
+    // the cash itself is already in principalThisMonth.
+    const recoveryThisMonth = row.isOwned
+      ? +(Number(row.recovery || 0) * Number(row.ownershipPct || 0)).toFixed(2)
+      : 0;
+    const collectionCostThisMonth = row.isOwned
+      ? +(Number(row.collectionCost || 0) * Number(row.ownershipPct || 0)).toFixed(2)
+      : 0;
+
     // 🔒 EXPLICIT GRACE RULE (defensive)
     if (deferred) {
       principalThisMonth = 0;
@@ -289,6 +326,8 @@ principalThisMonth =
       feeThisMonth,
       interestPaid: interestThisMonth,
       principalPaid: principalThisMonth,
+      recoveryThisMonth,
+      collectionCostThisMonth,
       isDeferralMonth: deferred
     };
   });
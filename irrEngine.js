@@ -0,0 +1,172 @@
+/*
+  irrEngine.js
+  ------------
+  Internal rate of return solvers shared by valuation and ROI.
+
+  - solveIRR:        evenly spaced cash flows (per-period rate)
+  - solveIRRAtTimes: same, with explicit fractional period times
+  - calculateXIRR:   dated cash flows (annual rate, actual/365)
+
+  Both bracket a sign change first, then take Newton steps, falling
+  back to bisection whenever a step would leave the bracket. Negative
+  rates down to -99.99% per period are allowed. Every result carries
+  diagnostics instead of failing silently:
+
+    { rate, converged, iterations, newtonSteps, bisectionSteps,
+      residual, bracket: [lo, hi], reason }
+
+  - No DOM access
+  - Pure functions
+*/
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseDate(d) {
+  if (d instanceof Date) return d;
+  if (typeof d === "string") {
+    const [y, m, day] = d.slice(0, 10).split("-").map(Number);
+    return new Date(y, m - 1, day || 1);
+  }
+  return new Date(NaN);
+}
+
+// Σ amount / (1 + r)^t and its derivative
+function npvAt(rate, times, amounts) {
+  let value = 0;
+  let derivative = 0;
+  for (let i = 0; i < amounts.length; i++) {
+    if (amounts[i] === 0) continue; // avoids 0 × Infinity near -100%
+    const discount = Math.pow(1 + rate, -times[i]);
+    value += amounts[i] * discount;
+    derivative -= times[i] * amounts[i] * discount / (1 + rate);
+  }
+  return { value, derivative };
+}
+
+function failure(reason, extra = {}) {
+  return {
+    rate: NaN,
+    converged: false,
+    iterations: 0,
+    newtonSteps: 0,
+    bisectionSteps: 0,
+    residual: NaN,
+    bracket: null,
+    reason,
+    ...extra
+  };
+}
+
+function solveRate(times, amounts, {
+  guess = 0.01,
+  lower = -0.9999,
+  upper = 1,
+  maxUpper = 1e6,
+  tolerance = 1e-10,
+  maxIterations = 200
+} = {}) {
+  if (!amounts.length || amounts.some(a => !Number.isFinite(a)) || times.some(t => !Number.isFinite(t))) {
+    return failure("invalid cash flows");
+  }
+  if (!amounts.some(a => a > 0) || !amounts.some(a => a < 0)) {
+    return failure("cash flows need both a negative and a positive amount");
+  }
+
+  const f = r => npvAt(r, times, amounts).value;
+  const scale = amounts.reduce((s, a) => s + Math.abs(a), 0);
+
+  // Bracket a sign change, widening the top end if needed. Near -100%
+  // the discount factors overflow, and mixed-sign flows then give
+  // Infinity - Infinity: raise the low end (-0.9999 → -0.999 → … → 0)
+  // until f is a number.
+  let lo = lower;
+  let hi = upper;
+  let fLo = f(lo);
+  while (Number.isNaN(fLo) && lo < 0) {
+    lo = Math.min(0, -1 + (1 + lo) * 10);
+    fLo = f(lo);
+  }
+  let fHi = f(hi);
+  while (Math.sign(fLo) === Math.sign(fHi) && hi < maxUpper) {
+    lo = hi;
+    fLo = fHi;
+    hi *= 4;
+    fHi = f(hi);
+  }
+  if (Number.isNaN(fLo) || Number.isNaN(fHi) || Math.sign(fLo) === Math.sign(fHi)) {
+    return failure("no sign change between the rate bounds", { bracket: [lo, hi] });
+  }
+  if (fLo === 0 || fHi === 0) {
+    const root = fLo === 0 ? lo : hi;
+    return { rate: root, converged: true, iterations: 0, newtonSteps: 0, bisectionSteps: 0, residual: 0, bracket: [root, root], reason: null };
+  }
+
+  let x = guess > lo && guess < hi ? guess : (lo + hi) / 2;
+  let newtonSteps = 0;
+  let bisectionSteps = 0;
+
+  for (let i = 1; i <= maxIterations; i++) {
+    const { value, derivative } = npvAt(x, times, amounts);
+
+    if (Math.abs(value) <= tolerance * scale) {
+      return { rate: x, converged: true, iterations: i, newtonSteps, bisectionSteps, residual: value, bracket: [lo, hi], reason: null };
+    }
+
+    // Shrink the bracket around the root
+    if (Math.sign(value) === Math.sign(fLo)) {
+      lo = x;
+      fLo = value;
+    } else {
+      hi = x;
+    }
+
+    if (hi - lo <= 1e-14 * Math.max(1, Math.abs(x))) {
+      return { rate: x, converged: true, iterations: i, newtonSteps, bisectionSteps, residual: value, bracket: [lo, hi], reason: null };
+    }
+
+    const step = derivative !== 0 ? x - value / derivative : NaN;
+    if (Number.isFinite(step) && step > lo && step < hi) {
+      x = step;
+      newtonSteps++;
+    } else {
+      x = (lo + hi) / 2;
+      bisectionSteps++;
+    }
+  }
+
+  return {
+    rate: x,
+    converged: false,
+    iterations: maxIterations,
+    newtonSteps,
+    bisectionSteps,
+    residual: f(x),
+    bracket: [lo, hi],
+    reason: "max iterations reached"
+  };
+}
+
+// Per-period IRR of cashFlows[0..n] (cashFlows[0] at t = 0)
+export function solveIRR(cashFlows, options = {}) {
+  const amounts = (cashFlows || []).map(Number);
+  return solveRate(amounts.map((_, t) => t), amounts, options);
+}
+
+// Per-period IRR with explicit (possibly fractional) period times,
+// e.g. monthly cash flows seen from a mid-month settlement date
+export function solveIRRAtTimes(times, amounts, options = {}) {
+  return solveRate((times || []).map(Number), (amounts || []).map(Number), options);
+}
+
+// Annual IRR of [{ date, amount }] using actual/365 year fractions from
+// the earliest date. Lets lot- and user-level returns use real dates.
+export function calculateXIRR(flows, options = {}) {
+  const dated = (flows || [])
+    .map(f => ({ date: parseDate(f?.date), amount: Number(f?.amount) }))
+    .filter(f => Number.isFinite(f.date.getTime()) && Number.isFinite(f.amount) && f.amount !== 0);
+  if (!dated.length) return failure("no dated cash flows");
+
+  const first = Math.min(...dated.map(f => f.date.getTime()));
+  const times = dated.map(f => Math.round((f.date.getTime() - first) / DAY_MS) / 365);
+  return solveRate(times, dated.map(f => f.amount), { guess: 0.1, upper: 10, ...options });
+}
@@ -71,6 +71,30 @@ export function resolveFeeWaiverFlags(userId, loan) {
 }
 
 
+// ===============================
+// Rate Index Table (GLOBAL)
+// ===============================
+//
+// Shape (data/rateIndices.json):
+// { indices: { SOFR: { label, values: [{ date: "YYYY-MM-DD", rate: 0.0431 }] } } }
+//
+export let RATE_INDEX_TABLE = null;
+
+export function setRateIndexTable(table) {
+  RATE_INDEX_TABLE = table;
+}
+
+export async function loadRateIndices(url) {
+  const res = await fetch(url, { cache: "no-store" });
+  if (!res.ok) {
+    throw new Error(`Failed to load rate indices: ${res.status}`);
+  }
+
+  RATE_INDEX_TABLE = await res.json();
+  return RATE_INDEX_TABLE;
+}
+
+
 // =======================================
 // Canonical LOCAL date helpers (NO TZ BUG)
 // =======================================
@@ -197,7 +221,9 @@ export async function loadLoans() {
       nominalRate,
       termYears,
       graceYears,
+      ...normalizeLoanTerms(l),
       events: Array.isArray(l.events) ? l.events : [],
+      payments: normalizePayments(l.payments),
       ownershipLots: Array.isArray(l.ownershipLots) ? l.ownershipLots : [],
       owner: l.owner || null,
       user: l.user || null,
@@ -229,6 +255,20 @@ export function isDeferredMonth(row) {
   return row?.isDeferred === true;
 }
 
+// ===============================
+// Delinquency buckets (days past due)
+// ===============================
+export const DELINQUENCY_BUCKETS = ["current", "30", "60", "90", "120+"];
+
+export function getDelinquencyBucket(daysPastDue) {
+  const dpd = Number(daysPastDue) || 0;
+  if (dpd >= 120) return "120+";
+  if (dpd >= 90) return "90";
+  if (dpd >= 60) return "60";
+  if (dpd >= 30) return "30";
+  return "current";
+}
+
 
 // ===============================
 // Standard portfolio start date
@@ -321,6 +361,352 @@ function normalizeDate(d) {
   return d; // Returning unmodified value for further debugging
 }
 
+// ===============================
+// Variable-rate terms
+// ===============================
+//
+// Fixed loans carry only nominalRate. Variable loans float on
+// index + margin, reset every rateResetMonths, and are clamped
+// to [rateFloor, rateCap] when those are set.
+//
+export function normalizeRateTerms(l = {}) {
+  const rateType = l.rateType === "variable" ? "variable" : "fixed";
+
+  if (rateType === "fixed") {
+    return { rateType };
+  }
+
+  const optionalRate = v =>
+    v === null || v === undefined || v === "" ? null : Number(v);
+
+  return {
+    rateType,
+    rateIndex: l.rateIndex || "SOFR",
+    rateMargin: Number(l.rateMargin ?? 0),
+    rateResetMonths: Math.max(1, Math.floor(Number(l.rateResetMonths ?? 1) || 1)),
+    rateFloor: optionalRate(l.rateFloor),
+    rateCap: optionalRate(l.rateCap)
+  };
+}
+
+// ===============================
+// Interest capitalization policy
+// ===============================
+//
+// How interest accrued during grace and deferral reaches the balance:
+//   monthly — compounds into the balance every month (legacy behavior)
+//   end     — accrues separately and capitalizes once when the period ends
+//   none    — subsidized; no interest accrues while payments are paused
+//
+export const CAPITALIZATION_POLICIES = ["monthly", "end", "none"];
+
+export function normalizeCapitalizationPolicy(value) {
+  return CAPITALIZATION_POLICIES.includes(value) ? value : "monthly";
+}
+
+// ===============================
+// Day-count convention
+// ===============================
+//
+// How interest accrues between payment dates:
+//   30/360     — every month is 1/12 of a year (legacy behavior)
+//   actual/365 — daily accrual on actual days (student loan servicers)
+//   actual/360 — daily accrual on actual days over a 360-day year
+//
+export const DAY_COUNT_CONVENTIONS = ["30/360", "actual/365", "actual/360"];
+
+export function normalizeDayCount(value) {
+  return DAY_COUNT_CONVENTIONS.includes(value) ? value : "30/360";
+}
+
+export function accruesDaily(dayCount) {
+  return normalizeDayCount(dayCount) !== "30/360";
+}
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Calendar days from `from` to `to` (rounded so DST shifts don't matter)
+export function daysBetween(from, to) {
+  const a = parseISODateLocal(from);
+  const b = parseISODateLocal(to);
+  if (!a || !b) return 0;
+  return Math.round((b - a) / MS_PER_DAY);
+}
+
+// Interest rate for one accrual period. 30/360 ignores the dates.
+export function periodInterestRate(annualRate, dayCount, from, to) {
+  const convention = normalizeDayCount(dayCount);
+  if (convention === "30/360") return annualRate / 12;
+  const basis = convention === "actual/360" ? 360 : 365;
+  return annualRate * Math.max(0, daysBetween(from, to)) / basis;
+}
+
+// ===============================
+// Repayment plans
+// ===============================
+//
+// loan.repaymentPlan = { type, ...params } picks the generator that sets
+// each repayment month's payment. Every generator gets the same context:
+//   { balance, monthlyRate, interest, remainingMonths, repaymentMonth }
+// where repaymentMonth counts from 0 at the first month after grace.
+// Non-level plans re-solve from the current balance every month, so
+// rate resets, prepayments and cures flow through without a recast.
+//
+const wholeMonths = (v, fallback) => Math.max(0, Math.floor(Number(v ?? fallback) || 0));
+
+export const REPAYMENT_PLANS = {
+  level: {
+    label: "Level payment",
+    normalize: () => ({}),
+    payment: ({ balance, monthlyRate, remainingMonths }) =>
+      computeLevelPayment(balance, monthlyRate, remainingMonths)
+  },
+
+  // Payment steps up by stepPct every stepMonths, sized to pay off at maturity
+  graduated: {
+    label: "Graduated",
+    normalize: p => ({
+      stepMonths: Math.max(1, wholeMonths(p.stepMonths, 24)),
+      stepPct: Number(p.stepPct ?? 0.07) || 0
+    }),
+    payment: ({ balance, monthlyRate, remainingMonths, repaymentMonth }, plan) => {
+      const stepFactor = m => Math.pow(1 + plan.stepPct, Math.floor(m / plan.stepMonths));
+      let annuity = 0;
+      for (let j = 0; j < remainingMonths; j++) {
+        annuity += stepFactor(repaymentMonth + j) / Math.pow(1 + monthlyRate, j + 1);
+      }
+      return annuity > 0 ? (balance / annuity) * stepFactor(repaymentMonth) : 0;
+    }
+  },
+
+  // Interest only for interestOnlyMonths, then level over the rest of the term
+  interestOnly: {
+    label: "Interest-only, then amortize",
+    normalize: p => ({ interestOnlyMonths: wholeMonths(p.interestOnlyMonths, 24) }),
+    payment: ({ balance, monthlyRate, interest, remainingMonths, repaymentMonth }, plan) =>
+      repaymentMonth < plan.interestOnlyMonths && remainingMonths > 1
+        ? interest
+        : computeLevelPayment(balance, monthlyRate, remainingMonths)
+  },
+
+  // Level payment capped at incomePct of income (grows incomeGrowthPct a year).
+  // A cap below the interest due negatively amortizes; any balance left at
+  // maturity stays on the last row (forgiveness isn't modeled).
+  incomeBased: {
+    label: "Percent of income",
+    normalize: p => ({
+      annualIncome: Math.max(0, Number(p.annualIncome ?? 0) || 0),
+      incomePct: Math.max(0, Number(p.incomePct ?? 0.1) || 0),
+      incomeGrowthPct: Number(p.incomeGrowthPct ?? 0) || 0
+    }),
+    payment: ({ balance, monthlyRate, remainingMonths, repaymentMonth }, plan) => {
+      const income =
+        plan.annualIncome * Math.pow(1 + plan.incomeGrowthPct, Math.floor(repaymentMonth / 12));
+      return Math.min(
+        computeLevelPayment(balance, monthlyRate, remainingMonths),
+        (income * plan.incomePct) / 12
+      );
+    }
+  }
+};
+
+export const REPAYMENT_PLAN_TYPES = Object.keys(REPAYMENT_PLANS);
+
+// Accepts a plan object or a bare type string; unknown types fall back to level
+export function normalizeRepaymentPlan(plan) {
+  const p = typeof plan === "string" ? { type: plan } : plan || {};
+  const type = REPAYMENT_PLANS[p.type] ? p.type : "level";
+  return { type, ...REPAYMENT_PLANS[type].normalize(p) };
+}
+
+export function getRepaymentPlanPayment(plan, context) {
+  const p = normalizeRepaymentPlan(plan);
+  return Math.max(0, REPAYMENT_PLANS[p.type].payment(context, p) || 0);
+}
+
+// All loan-level terms that ride alongside the core fields
+export function normalizeLoanTerms(l = {}) {
+  return {
+    ...normalizeRateTerms(l),
+    capitalizationPolicy: normalizeCapitalizationPolicy(l.capitalizationPolicy),
+    dayCount: normalizeDayCount(l.dayCount),
+    repaymentPlan: normalizeRepaymentPlan(l.repaymentPlan)
+  };
+}
+
+export function isVariableRateLoan(loan) {
+  return loan?.rateType === "variable";
+}
+
+// Latest published index value on or before `date` (flat-forward after the last point)
+export function getIndexRateAsOf(indexName, date, table = RATE_INDEX_TABLE) {
+  const values = table?.indices?.[indexName]?.values;
+  if (!Array.isArray(values) || !values.length) return null;
+
+  const asOf = parseISODateLocal(date);
+  let match = null;
+
+  values.forEach(v => {
+    const d = parseISODateLocal(v.date);
+    if (d && d <= asOf && (!match || d >= match.d)) {
+      match = { d, rate: Number(v.rate) };
+    }
+  });
+
+  // Dates before the first published value use the earliest point
+  if (!match) {
+    const first = values
+      .slice()
+      .sort((a, b) => String(a.date).localeCompare(String(b.date)))[0];
+    return Number(first.rate);
+  }
+
+  return match.rate;
+}
+
+// Fully-indexed rate (index + margin, floor/cap applied). Falls back to
+// the loan's nominalRate when the index table is unavailable.
+export function getVariableRateAsOf(loan, date, table = loan?.rateIndexTable || RATE_INDEX_TABLE) {
+  const terms = normalizeRateTerms(loan);
+  const index = getIndexRateAsOf(terms.rateIndex, date, table);
+
+  if (index == null || !Number.isFinite(index)) {
+    console.warn(
+      `No ${terms.rateIndex} index value for loan "${loan?.loanName || loan?.loanId || "unknown"}" — using nominalRate`
+    );
+    return Number(loan?.nominalRate || 0);
+  }
+
+  let rate = index + terms.rateMargin;
+  if (terms.rateFloor != null) rate = Math.max(rate, terms.rateFloor);
+  if (terms.rateCap != null) rate = Math.min(rate, terms.rateCap);
+
+  return rate;
+}
+
+function computeLevelPayment(balance, monthlyRate, months) {
+  if (months <= 0) return 0;
+  if (monthlyRate === 0) return balance / months;
+  return (balance * monthlyRate) / (1 - Math.pow(1 + monthlyRate, -months));
+}
+
+// ===============================
+// Actual payments ledger
+// ===============================
+//
+// loan.payments = [{ id, date, amount, principal?, interest?, fee? }]
+// The optional split is taken as-is; otherwise the amount is applied
+// interest first, then principal. `fee` is a borrower-paid fee (late
+// fee etc.) and never reduces the balance.
+//
+export function normalizePayments(list) {
+  if (!Array.isArray(list)) return [];
+
+  const optionalAmt = v =>
+    v === null || v === undefined || v === "" ? null : Number(v);
+
+  return list
+    .filter(p => p && p.date && Number.isFinite(Number(p.amount)))
+    .map(p => ({
+      ...(p.id ? { id: p.id } : {}),
+      date: String(p.date).slice(0, 10),
+      amount: Number(p.amount),
+      principal: optionalAmt(p.principal),
+      interest: optionalAmt(p.interest),
+      fee: optionalAmt(p.fee)
+    }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// ===============================
+// Disbursements
+// ===============================
+//
+// `principal` is the full loan amount. Loans that fund in tranches
+// (e.g. one per semester) list the later tranches as events:
+//   { type: "disbursement", date, amount }
+// Whatever is not scheduled later goes out on loanStartDate. Tranches
+// dated in the start month are part of that first disbursement.
+//
+export function getDisbursementSchedule(loan = {}) {
+  const principal = Math.max(0, Number(loan.principal) || 0);
+  const startKey = loan.loanStartDate ? monthKeyFromISO(String(loan.loanStartDate)) : null;
+
+  const later = (Array.isArray(loan.events) ? loan.events : [])
+    .filter(e =>
+      e && e.type === "disbursement" && e.date && Number(e.amount) > 0 &&
+      (!startKey || monthKeyFromISO(String(e.date)) > startKey)
+    )
+    .map(e => ({
+      ...(e.id ? { id: e.id } : {}),
+      date: String(e.date).slice(0, 10),
+      amount: Number(e.amount)
+    }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  const laterTotal = later.reduce((sum, d) => sum + d.amount, 0);
+
+  return {
+    initialAmount: Math.max(0, principal - laterTotal),
+    disbursements: later,
+    totalDisbursed: Math.max(principal, laterTotal)
+  };
+}
+
+// ===============================
+// Recovery after default
+// ===============================
+//
+// A default event may carry a recovery stream instead of a single
+// recoveryAmount:
+//   { recoveries: [{ id?, date, amount }], collectionCostPct, recoveryClosedDate }
+// Receipts are gross; collectionCostPct of each goes to the collector.
+//
+export function normalizeRecoveryTerms(event = {}) {
+  return {
+    recoveries: (Array.isArray(event.recoveries) ? event.recoveries : [])
+      .filter(r => r && r.date && Number(r.amount) > 0)
+      .map(r => ({
+        ...(r.id ? { id: r.id } : {}),
+        date: String(r.date).slice(0, 10),
+        amount: Number(r.amount)
+      }))
+      .sort((a, b) => a.date.localeCompare(b.date)),
+    collectionCostPct: Math.min(1, Math.max(0, Number(event.collectionCostPct) || 0)),
+    recoveryClosedDate: event.recoveryClosedDate
+      ? String(event.recoveryClosedDate).slice(0, 10)
+      : null
+  };
+}
+
+// Realized loss-given-default from a schedule (null if the loan never defaulted).
+// While recovery is open the numbers are realized to date.
+export function getRecoverySummary(schedule) {
+  const rows = (schedule || []).filter(r => r.isRecoveryPeriod || r.defaulted);
+  if (!rows.length) return null;
+
+  const first = rows[0];
+  const sum = field => rows.reduce((s, r) => s + Number(r[field] || 0), 0);
+
+  // Single-recovery defaults report the balance left after recovery
+  const exposureAtDefault = first.isRecoveryPeriod
+    ? Number(first.exposureAtDefault || 0)
+    : Number(first.balance || 0) + Number(first.recovery || 0);
+  const netRecovered = sum("recovery");
+  const realizedLoss = Math.max(0, exposureAtDefault - netRecovered);
+
+  return {
+    defaultDate: first.loanDate,
+    exposureAtDefault: +exposureAtDefault.toFixed(2),
+    grossRecovered: +(first.isRecoveryPeriod ? sum("grossRecovery") : netRecovered).toFixed(2),
+    collectionCosts: +sum("collectionCost").toFixed(2),
+    netRecovered: +netRecovered.toFixed(2),
+    realizedLoss: +realizedLoss.toFixed(2),
+    lgd: exposureAtDefault > 0 ? realizedLoss / exposureAtDefault : 0,
+    isClosed: rows.at(-1).recoveryClosed !== false
+  };
+}
+
 function getEffectivePurchaseDate(loan) {
   return (
     parseISODateLocal(loan.purchaseDate) ||
@@ -339,8 +725,13 @@ function getEffectivePurchaseDate(loan) {
 // - payment calculation aligned with loanStartDate
 // - correct ownership logic using purchaseDate
 //
+// Loans with a payments ledger build in "actual" mode: months from the
+// first recorded payment through `asOf` use what the borrower paid, and
+// later months are projected from the resulting balance. Pass
+// { paymentMode: "contractual" } to ignore the ledger.
+//
 
-export function buildAmortSchedule(loan) {
+export function buildAmortSchedule(loan, { paymentMode, asOf = new Date() } = {}) {
 
   const {
     principal,
@@ -352,15 +743,38 @@ export function buildAmortSchedule(loan) {
     events = []
   } = loan;
 
-  const monthlyRate = nominalRate / 12;
   const graceMonths = graceYears * 12;
   const repaymentMonths = termYears * 12;
-  const totalMonths = graceMonths + repaymentMonths;
+  let totalMonths = graceMonths + repaymentMonths;   // term extensions add months
+
+  // Rate in effect (fixed loans never reset)
+  const isVariable = isVariableRateLoan(loan);
+  const resetMonths = isVariable ? normalizeRateTerms(loan).rateResetMonths : 0;
+  let currentRate = isVariable
+    ? getVariableRateAsOf(loan, loanStartDate)
+    : nominalRate;
+  let monthlyRate = currentRate / 12;
 
   const originalMonthlyPayment = repaymentMonths > 0 
-  ? (principal * monthlyRate) / (1 - Math.pow(1 + monthlyRate, -repaymentMonths))
+  ? computeLevelPayment(principal, monthlyRate, repaymentMonths)
   : 0;
 
+  // Grace/deferral interest handling
+  const capitalizationPolicy = normalizeCapitalizationPolicy(loan.capitalizationPolicy);
+
+  // Interest accrual: 30/360 charges rate/12 per month; actual/* accrue
+  // daily from the loan start date through each real payment date
+  const dayCount = normalizeDayCount(loan.dayCount);
+  const dailyAccrual = dayCount !== "30/360";
+
+  // Payment generator for repayment months (level unless the loan says otherwise)
+  const repaymentPlan = normalizeRepaymentPlan(loan.repaymentPlan);
+  let repaymentMonth = 0;
+
+  // Re-amortized payment after a rate reset, capitalization, recast, modification, or a delinquency cure
+  let currentMonthlyPayment = originalMonthlyPayment;
+  let needsReamortization = false;
+
   function normalizeDeferralFlags(row) {
     row.isDeferred =
       row.isDeferred === true ||
@@ -425,6 +839,74 @@ const { waiveSetup, waiveMonthly, waiveAll } = resolveFeeWaiverFlags(userId, loa
       prepayMap[key].push(e);
     });
 
+  // Apply this month's prepayments to the balance. A `recast: true` event
+  // re-amortizes over the remaining term (lower payment, same maturity);
+  // otherwise the payment stays level and the term shortens.
+  function applyPrepayments(key) {
+    let applied = 0;
+    let recast = false;
+    (prepayMap[key] || []).forEach(e => {
+      const amt = Number(e.amount || 0);
+      if (amt > 0) {
+        const a = Math.min(balance, amt);
+        applied += a;
+        balance -= a;
+        if (e.recast === true) recast = true;
+      }
+    });
+    if (recast && applied > 0) needsReamortization = true;
+    return { applied, recast: recast && applied > 0 };
+  }
+
+  // Daily accrual: prepaid principal stops accruing on the prepayment
+  // date, so it only earns interest for part of the period
+  function prepaymentAccrualCredit(key, period) {
+    if (!dailyAccrual) return 0;
+    let remaining = balance;
+    return (prepayMap[key] || []).reduce((sum, e) => {
+      const amt = Math.min(remaining, Math.max(0, Number(e.amount || 0)));
+      remaining -= amt;
+      const date = parseISODateLocal(e.date);
+      const from = date > period.from ? date : period.from;
+      return sum + amt * periodInterestRate(currentRate, dayCount, from, period.to);
+    }, 0);
+  }
+
+  // Disbursement events map: later tranches join the balance at the end
+  // of their month, so 30/360 interest on them starts the month after
+  const disbursementPlan = getDisbursementSchedule(loan);
+  const disbursementMap = {};
+  disbursementPlan.disbursements.forEach(d => {
+    const key = monthKeyFromISO(d.date);
+    (disbursementMap[key] || (disbursementMap[key] = [])).push(d);
+  });
+  const lastDisbursementKey = disbursementPlan.disbursements.at(-1)
+    ? monthKeyFromISO(disbursementPlan.disbursements.at(-1).date)
+    : null;
+  let disbursedToDate = disbursementPlan.initialAmount;
+
+  function applyDisbursements(key) {
+    const amount = (disbursementMap[key] || []).reduce((sum, d) => sum + d.amount, 0);
+    if (amount > 0) {
+      balance += amount;
+      disbursedToDate += amount;
+      // Repayment is based on everything disbursed so far
+      needsReamortization = true;
+    }
+    return amount;
+  }
+
+  // Daily accrual: a tranche accrues from its disbursement date
+  function disbursementAccrualCharge(key, period) {
+    if (!dailyAccrual) return 0;
+    return (disbursementMap[key] || []).reduce((sum, d) => {
+      const date = parseISODateLocal(d.date);
+      if (date >= period.to) return sum;
+      const from = date > period.from ? date : period.from;
+      return sum + d.amount * periodInterestRate(currentRate, dayCount, from, period.to);
+    }, 0);
+  }
+
   // Deferral events map
   const deferralStartMap = {};
   events
@@ -441,17 +923,217 @@ const { waiveSetup, waiveMonthly, waiveAll } = resolveFeeWaiverFlags(userId, loa
   const defaultMonthKey = defaultEvent ? monthKeyFromISO(defaultEvent.date) : null;
   const defaultRecovery = defaultEvent ? Number(defaultEvent.recoveryAmount || 0) : 0;
 
+  // Recovery stream: a default event with `recoveries` keeps emitting
+  // rows after the charge-off until recovery closes (see below)
+  const recoveryStream = defaultEvent && Array.isArray(defaultEvent.recoveries)
+    ? normalizeRecoveryTerms(defaultEvent)
+    : null;
+
+  // Modification events map (several in one month apply in date order)
+  const modificationMap = {};
+  events
+    .filter(e => e.type === "modification" && e.date)
+    .sort((a, b) => String(a.date).localeCompare(String(b.date)))
+    .forEach(e => {
+      const key = monthKeyFromISO(e.date);
+      (modificationMap[key] || (modificationMap[key] = [])).push(e);
+    });
+
+  // Delinquency / cure events map (last event in a month wins)
+  const delinquencyMap = {};
+  events
+    .filter(e => (e.type === "delinquency" || e.type === "cure") && e.date)
+    .sort((a, b) => String(a.date).localeCompare(String(b.date)))
+    .forEach(e => {
+      delinquencyMap[monthKeyFromISO(e.date)] = e.type;
+    });
+
+  // Actual payments ledger (month → totals)
+  const payments = normalizePayments(loan.payments);
+  const useActuals =
+    (paymentMode || (payments.length ? "actual" : "contractual")) === "actual" &&
+    payments.length > 0;
+
+  const ledgerMap = {};
+  payments.forEach(p => {
+    const key = monthKeyFromISO(p.date);
+    const m = ledgerMap[key] || (ledgerMap[key] = {
+      amount: 0, principal: 0, interest: 0, fee: 0, hasSplit: false, lastDate: null
+    });
+    m.amount += p.amount;
+    if (p.amount > 0) m.lastDate = p.date;
+    m.fee += p.fee || 0;
+    if (p.principal != null || p.interest != null) {
+      m.hasSplit = true;
+      m.principal += p.principal || 0;
+      m.interest += p.interest || 0;
+    }
+  });
+
+  const firstLedgerKey = payments.length ? monthKeyFromISO(payments[0].date) : null;
+  const asOfDate = parseISODateLocal(asOf) || new Date();
+  const asOfKey = monthKeyFromDate(asOfDate);
+
+  // Months from the first payment through asOf are history; the asOf
+  // month only counts once something has posted for it.
+  function isActualMonth(key) {
+    if (!useActuals || key < firstLedgerKey) return false;
+    return key < asOfKey || (key === asOfKey && !!ledgerMap[key]);
+  }
+
+  // Contractual payment per month, for scheduled-vs-actual variance
+  const scheduledPaymentByMonth = {};
+  if (useActuals) {
+    buildAmortSchedule(loan, { paymentMode: "contractual" }).forEach(r => {
+      scheduledPaymentByMonth[monthKeyFromDate(r.loanDate)] = r.payment;
+    });
+  }
+
+  function reconciliationFields(key, actualMonth) {
+    if (!useActuals) return {};
+    const scheduledPayment = scheduledPaymentByMonth[key] ?? 0;
+    const ledger = ledgerMap[key];
+    const actualPayment = actualMonth
+      ? +Math.max(0, (ledger?.amount || 0) - (ledger?.fee || 0)).toFixed(2)
+      : null;
+    return {
+      isActual: actualMonth,
+      scheduledPayment,
+      actualPayment,
+      actualFeePaid: actualMonth ? +(ledgerMap[key]?.fee || 0).toFixed(2) : null,
+      paymentVariance: actualMonth ? +(actualPayment - scheduledPayment).toFixed(2) : null
+    };
+  }
+
   const schedule = [];
 
   // State
-  let balance = Number(principal || 0);
+  let balance = disbursementPlan.disbursements.length
+    ? disbursementPlan.initialAmount
+    : Number(principal || 0);
   let calendarDate = new Date(start.getFullYear(), start.getMonth(), 1);
   let deferralRemaining = 0;
   let deferralTotal = 0;
+  let accruedUncapitalized = 0;   // "end" policy: interest waiting to capitalize
+  let inActualHistory = false;
+  let isModified = false;         // a modification has taken effect
+  let isRateModified = false;     // ...and replaced the contract rate
+
+  // Tranches not yet disbursed: level the payment on the balance actually
+  // out when repayment starts, not on the full principal
+  if (disbursementPlan.disbursements.length) needsReamortization = true;
+
+  // Accrual periods run from the loan start date to the 1st of the next
+  // month, then month to month; a recorded payment ends its period on the
+  // payment date and later periods keep that day of the month.
+  let accrualStart = new Date(start);
+  let accrualDay = 1;
+
+  function nextAccrualPeriod(ledgerRow) {
+    const from = accrualStart;
+    let to;
+    if (ledgerRow?.lastDate) {
+      to = parseISODateLocal(ledgerRow.lastDate);
+      accrualDay = to.getDate();
+    } else {
+      const y = from.getFullYear();
+      const m = from.getMonth() + 1;
+      to = new Date(y, m, Math.min(accrualDay, new Date(y, m + 1, 0).getDate()));
+    }
+    if (to < from) to = from;
+    accrualStart = to;
+    return {
+      from,
+      to,
+      rate: dailyAccrual ? periodInterestRate(currentRate, dayCount, from, to) : monthlyRate
+    };
+  }
+
+  // Delinquency state: missed payments roll into past-due amounts
+  // until a cure month, when the borrower catches up in full.
+  let isDelinquent = false;
+  let missedPayments = 0;
+  let pastDueInterest = 0;
+  let pastDuePrincipal = 0;
+
+  function delinquencyFields(missedPayment = false) {
+    const daysPastDue = missedPayments * 30;
+    return {
+      missedPayment,
+      missedPayments,
+      daysPastDue,
+      delinquencyStatus: getDelinquencyBucket(daysPastDue),
+      isDelinquent: daysPastDue > 0,
+      pastDueInterest: +pastDueInterest.toFixed(2),
+      pastDuePrincipal: +pastDuePrincipal.toFixed(2),
+      pastDueAmount: +(pastDueInterest + pastDuePrincipal).toFixed(2)
+    };
+  }
 
   // Contractual month loop
   for (let i = 0; i < totalMonths; ) {
     const loanDate = new Date(calendarDate);
+
+    // ==============================
+    // RATE RESET (variable loans)
+    // ==============================
+    let isRateReset = false;
+    if (isVariable && !isRateModified && i > 0 && i % resetMonths === 0) {
+      const resetRate = getVariableRateAsOf(loan, loanDate);
+      if (resetRate !== currentRate) {
+        currentRate = resetRate;
+        monthlyRate = currentRate / 12;
+        needsReamortization = true;
+      }
+      isRateReset = true;
+    }
+
+    // ==============================
+    // MODIFICATION (rate cut, term extension, forgiveness)
+    // ==============================
+    let forgivenPrincipal = 0;
+    const modifications = modificationMap[monthKeyFromDate(calendarDate)] || [];
+    modifications.forEach(e => {
+      if (e.rate !== undefined && e.rate !== null && e.rate !== "" && Number.isFinite(Number(e.rate))) {
+        // A modified rate is fixed from here on; index resets stop
+        currentRate = Math.max(0, Number(e.rate));
+        monthlyRate = currentRate / 12;
+        isRateModified = true;
+      }
+      totalMonths += Math.max(0, Math.floor(Number(e.termExtensionMonths) || 0));
+      const forgiven = Math.min(balance, Math.max(0, Number(e.forgivenPrincipal) || 0));
+      balance -= forgiven;
+      forgivenPrincipal += forgiven;
+    });
+    if (modifications.length) {
+      isModified = true;
+      needsReamortization = true;
+      pastDuePrincipal = Math.min(pastDuePrincipal, balance);
+    }
+    const modificationFields = {
+      isModified,
+      isModificationMonth: modifications.length > 0,
+      forgivenPrincipal: +forgivenPrincipal.toFixed(2)
+    };
+
+    // Delinquency / cure transitions
+    const delinquencyEvent = delinquencyMap[monthKeyFromDate(calendarDate)];
+    if (delinquencyEvent === "delinquency") isDelinquent = true;
+    if (delinquencyEvent === "cure") isDelinquent = false;
+
+    // Actual payment history vs projection
+    const monthKey = monthKeyFromDate(calendarDate);
+    const actualMonth = isActualMonth(monthKey);
+    const ledger = actualMonth ? ledgerMap[monthKey] || null : null;
+    const ledgerPaid = ledger ? Math.max(0, ledger.amount - ledger.fee) : 0;
+    if (actualMonth) {
+      inActualHistory = true;
+    } else if (inActualHistory) {
+      // Project forward from the balance the borrower actually reached
+      inActualHistory = false;
+      needsReamortization = true;
+    }
+
     const isOwned = loanDate >= purchaseMonth;
     const isFirstOwnedMonth =
       isOwned &&
@@ -472,6 +1154,77 @@ const { waiveSetup, waiveMonthly, waiveAll } = resolveFeeWaiverFlags(userId, loa
     // ==============================
     // DEFAULT (terminal)
     // ==============================
+    if (defaultMonthKey && monthKeyFromDate(calendarDate) === defaultMonthKey && recoveryStream) {
+      // Charge off the balance, then one row per month of collections.
+      // Recovery closes on recoveryClosedDate, once the claim is fully
+      // recovered, or stays open through asOf (or the last receipt).
+      const { recoveries, collectionCostPct, recoveryClosedDate } = recoveryStream;
+      const exposureAtDefault = balance + accruedUncapitalized;
+      const lastKey = recoveryClosedDate
+        ? monthKeyFromISO(recoveryClosedDate)
+        : [asOfKey, ...recoveries.map(r => monthKeyFromISO(r.date))].sort().at(-1);
+
+      let claim = exposureAtDefault;
+      let recoveryDate = new Date(calendarDate);
+      balance = 0;
+      accruedUncapitalized = 0;
+
+      while (true) {
+        const key = monthKeyFromDate(recoveryDate);
+        const gross = recoveries
+          .filter(r => monthKeyFromISO(r.date) === key)
+          .reduce((sum, r) => sum + r.amount, 0);
+        const collectionCost = gross * collectionCostPct;
+        const net = gross - collectionCost;
+        claim = Math.max(0, claim - gross);
+
+        const isFirst = key === defaultMonthKey;
+        const closed = (!!recoveryClosedDate && key >= lastKey) || claim <= 0.01;
+        const isLast = closed || key >= lastKey;
+        const rowOwned = recoveryDate >= purchaseMonth;
+
+        schedule.push(
+          normalizeDeferralFlags({
+            monthIndex: schedule.length + 1,
+            loanDate: new Date(recoveryDate),
+            displayDate: new Date(recoveryDate.getFullYear(), recoveryDate.getMonth(), 1),
+            payment: +net.toFixed(2),
+            scheduledPrincipal: 0,
+            prepaymentPrincipal: +net.toFixed(2),
+            principalPaid: +net.toFixed(2),
+            interest: 0,
+            balance: 0,
+            accruedInterest: 0,
+            capitalizedInterest: 0,
+            accruedUncapitalizedInterest: 0,
+            feeThisMonth: isFirst ? +feeThisMonth.toFixed(2) : 0,
+            prepayment: 0,
+            isOwned: rowOwned,
+            ownershipDate: rowOwned ? new Date(recoveryDate) : null,
+            defaulted: isFirst,
+            isRecoveryPeriod: true,
+            isTerminal: isLast,
+            recovery: +net.toFixed(2),
+            grossRecovery: +gross.toFixed(2),
+            collectionCost: +collectionCost.toFixed(2),
+            exposureAtDefault: +exposureAtDefault.toFixed(2),
+            outstandingClaim: +claim.toFixed(2),
+            recoveryClosed: closed,
+            rate: currentRate,
+            isRateReset: isFirst && isRateReset,
+            ...(isFirst ? modificationFields : { isModified, isModificationMonth: false, forgivenPrincipal: 0 }),
+            ...delinquencyFields(),
+            ...reconciliationFields(key, false),
+            contractualMonth: isFirst ? i + 1 : null
+          })
+        );
+
+        if (isLast) break;
+        recoveryDate = addMonths(recoveryDate, 1);
+      }
+      break;
+    }
+
     if (defaultMonthKey && monthKeyFromDate(calendarDate) === defaultMonthKey) {
       const applied = Math.min(balance, defaultRecovery);
       balance -= applied;
@@ -488,6 +1241,8 @@ const { waiveSetup, waiveMonthly, waiveAll } = resolveFeeWaiverFlags(userId, loa
           interest: 0,
           balance: +(balance).toFixed(2),
           accruedInterest: 0,
+          capitalizedInterest: 0,
+          accruedUncapitalizedInterest: +accruedUncapitalized.toFixed(2),
           feeThisMonth: +feeThisMonth.toFixed(2),
           prepayment: 0,
           isOwned,
@@ -495,6 +1250,11 @@ const { waiveSetup, waiveMonthly, waiveAll } = resolveFeeWaiverFlags(userId, loa
           defaulted: true,
           isTerminal: true,
           recovery: +applied.toFixed(2),
+          rate: currentRate,
+          isRateReset,
+          ...modificationFields,
+          ...delinquencyFields(),
+          ...reconciliationFields(monthKey, false),
           contractualMonth: i + 1
         })
       );
@@ -513,21 +1273,37 @@ const { waiveSetup, waiveMonthly, waiveAll } = resolveFeeWaiverFlags(userId, loa
     // ==============================
     // DEFERRAL MONTH
     // ==============================
+    const period = nextAccrualPeriod(ledger);
+    const accrualFields = { accrualStart: period.from, accrualEnd: period.to };
+    const accrualCredit =
+      prepaymentAccrualCredit(monthKey, period) - disbursementAccrualCharge(monthKey, period);
+
     if (deferralRemaining > 0) {
-      const accruedInterest = balance * monthlyRate;
-      balance += accruedInterest;
-
-      const key = monthKeyFromDate(loanDate);
-      const monthEvents = prepayMap[key] || [];
-      let prepaymentThisMonth = 0;
-      monthEvents.forEach(e => {
-        const amt = Number(e.amount || 0);
-        if (amt > 0) {
-          const applied = Math.min(balance, amt);
-          prepaymentThisMonth += applied;
-          balance -= applied;
-        }
-      });
+      const accruedInterest =
+        capitalizationPolicy === "none"
+          ? 0
+          : Math.max(0, balance * period.rate - accrualCredit);
+      let capitalizedInterest = 0;
+      // Re-level when payments resume, whatever the policy capitalized
+      needsReamortization = true;
+      if (capitalizationPolicy === "monthly") {
+        balance += accruedInterest;
+        capitalizedInterest = accruedInterest;
+      } else {
+        accruedUncapitalized += accruedInterest;
+      }
+
+      const prepay = applyPrepayments(monthKeyFromDate(loanDate));
+      let prepaymentThisMonth = prepay.applied;
+
+      // Voluntary payments received while deferred reduce principal
+      if (ledgerPaid > 0) {
+        const applied = Math.min(balance, ledgerPaid);
+        prepaymentThisMonth += applied;
+        balance -= applied;
+      }
+
+      const disbursement = applyDisbursements(monthKey);
 
       schedule.push(
         normalizeDeferralFlags({
@@ -539,15 +1315,27 @@ const { waiveSetup, waiveMonthly, waiveAll } = resolveFeeWaiverFlags(userId, loa
           prepaymentPrincipal: +prepaymentThisMonth.toFixed(2),
           principalPaid: +prepaymentThisMonth.toFixed(2),
           prepayment: +prepaymentThisMonth.toFixed(2),
+          isRecast: prepay.recast,
+          recastPayment: null,
           interest: 0,
           balance: +balance.toFixed(2),
           accruedInterest: +accruedInterest.toFixed(2),
+          capitalizedInterest: +capitalizedInterest.toFixed(2),
+          accruedUncapitalizedInterest: +accruedUncapitalized.toFixed(2),
           feeThisMonth: +feeThisMonth.toFixed(2),
           isDeferred: true,
           deferralIndex: deferralTotal - deferralRemaining,
           deferralRemaining,
           isOwned,
           ownershipDate: isOwned ? loanDate : null,
+          rate: currentRate,
+          isRateReset,
+          disbursement: +disbursement.toFixed(2),
+          disbursedToDate: +disbursedToDate.toFixed(2),
+          ...accrualFields,
+          ...modificationFields,
+          ...delinquencyFields(),
+          ...reconciliationFields(monthKey, actualMonth),
           contractualMonth: i + 1
         })
       );
@@ -561,20 +1349,132 @@ const { waiveSetup, waiveMonthly, waiveAll } = resolveFeeWaiverFlags(userId, loa
 // ==============================
 // NORMAL MONTH
 // ==============================
-const interest = balance * monthlyRate;
-let scheduledPrincipal = 0;
-let prepaymentPrincipal = 0;
-let paymentAmt = 0;
-
 const monthsSinceLoanStart =
   (calendarDate.getFullYear() - start.getFullYear()) * 12 +
   (calendarDate.getMonth() - start.getMonth());
+const inGrace = monthsSinceLoanStart < graceMonths;
+
+// Capitalize deferred/grace interest once the non-paying period ends
+let capitalizedInterest = 0;
+if (!inGrace && accruedUncapitalized > 0) {
+  capitalizedInterest = accruedUncapitalized;
+  balance += accruedUncapitalized;
+  accruedUncapitalized = 0;
+  needsReamortization = true;
+}
+
+let interest =
+  inGrace && capitalizationPolicy === "none"
+    ? 0
+    : Math.max(0, balance * period.rate - accrualCredit);
+let scheduledPrincipal = 0;
+let prepaymentPrincipal = 0;
+let paymentAmt = 0;
+let missedPayment = false;
+
+if (inGrace) {
+  // The first repayment month re-levels on the balance grace leaves
+  // (capitalized interest, in-school payments), so every policy pays off
+  needsReamortization = true;
+  if (capitalizationPolicy === "monthly") {
+    balance += interest;
+    capitalizedInterest = interest;
+  } else {
+    accruedUncapitalized += interest;
+  }
 
-if (monthsSinceLoanStart < graceMonths) {
-  balance += interest;
+  // In-school payments: this month's interest first, then principal
+  if (ledgerPaid > 0) {
+    const interestPaid = Math.min(ledgerPaid, interest);
+    const principalPart = Math.min(ledgerPaid - interestPaid, balance);
+    if (capitalizationPolicy === "monthly") {
+      balance -= interestPaid;
+      capitalizedInterest -= interestPaid;
+    } else {
+      accruedUncapitalized -= interestPaid;
+    }
+    balance -= principalPart;
+    paymentAmt = interestPaid + principalPart;
+    scheduledPrincipal = principalPart;
+    interest = interestPaid;
+  }
 } else {
-  paymentAmt = originalMonthlyPayment;
-  scheduledPrincipal = Math.min(paymentAmt - interest, balance);
+  if (repaymentPlan.type !== "level") {
+    currentMonthlyPayment = getRepaymentPlanPayment(repaymentPlan, {
+      balance,
+      monthlyRate,
+      interest,
+      remainingMonths: totalMonths - i,
+      repaymentMonth
+    });
+    needsReamortization = false;
+  } else if (needsReamortization) {
+    // Re-amortize over the remaining contractual months after a rate change
+    // or capitalized interest
+    currentMonthlyPayment = computeLevelPayment(balance, monthlyRate, totalMonths - i);
+    needsReamortization = false;
+  }
+  repaymentMonth++;
+
+  paymentAmt = currentMonthlyPayment;
+  scheduledPrincipal = Math.min(paymentAmt - interest, balance - pastDuePrincipal);
+
+  // Payment below the interest due (income-capped plans): the shortfall
+  // capitalizes rather than showing up as negative principal
+  if (scheduledPrincipal < 0) {
+    balance -= scheduledPrincipal;
+    capitalizedInterest -= scheduledPrincipal;
+    interest += scheduledPrincipal;
+    scheduledPrincipal = 0;
+  }
+
+  if (actualMonth) {
+    // Actual history: apply what was received; shortfalls roll past due
+    const interestDue = interest + pastDueInterest;
+    const principalDue = Math.max(0, scheduledPrincipal) + pastDuePrincipal;
+
+    let interestPaid = Math.min(ledgerPaid, interestDue);
+    let principalPart = ledgerPaid - interestPaid;
+    if (ledger?.hasSplit) {
+      interestPaid = ledger.interest;
+      principalPart = ledger.principal;
+    }
+    principalPart = Math.min(Math.max(0, principalPart), balance);
+
+    pastDueInterest = Math.max(0, interestDue - interestPaid);
+    pastDuePrincipal = Math.max(0, principalDue - principalPart);
+
+    const pastDue = pastDueInterest + pastDuePrincipal;
+    missedPayments =
+      pastDue > 0.01 && currentMonthlyPayment > 0
+        ? Math.ceil(pastDue / currentMonthlyPayment - 1e-6)
+        : 0;
+    missedPayment = ledgerPaid <= 0;
+
+    paymentAmt = interestPaid + principalPart;
+    scheduledPrincipal = principalPart;
+    interest = interestPaid;
+  } else if (isDelinquent) {
+    // Missed payment: nothing is collected, the amount due rolls past due
+    pastDueInterest += interest;
+    pastDuePrincipal += scheduledPrincipal;
+    missedPayments++;
+    missedPayment = true;
+    paymentAmt = 0;
+    scheduledPrincipal = 0;
+    interest = 0;
+  } else if (missedPayments > 0) {
+    // Cure: regular payment plus everything past due
+    paymentAmt += pastDueInterest + pastDuePrincipal;
+    interest += pastDueInterest;
+    scheduledPrincipal += pastDuePrincipal;
+    pastDueInterest = 0;
+    pastDuePrincipal = 0;
+    missedPayments = 0;
+    // Interest on overdue principal slowed amortization; re-level from next month
+    needsReamortization = true;
+  }
+
   balance = Math.max(0, balance - scheduledPrincipal);
 
   const threshold = 0.01;
@@ -584,18 +1484,17 @@ if (monthsSinceLoanStart < graceMonths) {
 }
 
     // Prepayments
-    const eventKey = monthKeyFromDate(loanDate);
-    const monthEvents = prepayMap[eventKey] || [];
-    let prepaymentThisMonth = 0;
-    monthEvents.forEach(e => {
-      const amt = Number(e.amount || 0);
-      if (amt > 0) {
-        const applied = Math.min(balance, amt);
-        prepaymentThisMonth += applied;
-        balance -= applied;
-      }
-    });
-    prepaymentPrincipal = prepaymentThisMonth;
+    const prepay = applyPrepayments(monthKeyFromDate(loanDate));
+    prepaymentPrincipal = prepay.applied;
+    pastDuePrincipal = Math.min(pastDuePrincipal, balance);
+
+    const disbursement = applyDisbursements(monthKey);
+
+    // Payment that takes effect next month after a recast
+    const recastPayment =
+      prepay.recast && !inGrace && balance > 0 && repaymentPlan.type === "level"
+        ? +computeLevelPayment(balance, monthlyRate, totalMonths - i - 1).toFixed(2)
+        : null;
 
     // Build row
     schedule.push(
@@ -608,15 +1507,28 @@ if (monthsSinceLoanStart < graceMonths) {
         prepaymentPrincipal: +prepaymentPrincipal.toFixed(2),
         principalPaid: +(scheduledPrincipal + prepaymentPrincipal).toFixed(2),
         prepayment: +prepaymentPrincipal.toFixed(2),
+        isRecast: prepay.recast,
+        recastPayment,
         interest: +interest.toFixed(2),
         balance: +balance.toFixed(2),
         accruedInterest: 0,
+        capitalizedInterest: +capitalizedInterest.toFixed(2),
+        accruedUncapitalizedInterest: +accruedUncapitalized.toFixed(2),
         feeThisMonth: +feeThisMonth.toFixed(2),
         isDeferred: false,
+        isGrace: inGrace,
         deferralIndex: null,
         deferralRemaining: null,
         isOwned,
         ownershipDate: isOwned ? loanDate : null,
+        rate: currentRate,
+        isRateReset,
+        disbursement: +disbursement.toFixed(2),
+        disbursedToDate: +disbursedToDate.toFixed(2),
+        ...accrualFields,
+        ...modificationFields,
+        ...delinquencyFields(missedPayment),
+        ...reconciliationFields(monthKey, actualMonth),
         contractualMonth: i + 1
       })
     );
@@ -625,8 +1537,8 @@ if (monthsSinceLoanStart < graceMonths) {
     calendarDate = addMonths(calendarDate, 1);
     i++;
 
-    // Early paid-off check
-    if (balance <= 0) {
+    // Early paid-off check (not while tranches are still to come)
+    if (balance <= 0 && !(lastDisbursementKey && monthKey < lastDisbursementKey)) {
       schedule[schedule.length - 1].isTerminal = true;
       schedule[schedule.length - 1].isPaidOff = true;
       schedule[schedule.length - 1].maturityDate = calendarDate;
@@ -674,6 +1586,26 @@ export function getCanonicalCurrentAmortRow(schedule, today = new Date()) {
   return schedule.filter(r => r.isOwned !== false).at(-1) || schedule.at(-1);
 }
 
+export function getCurrentDelinquencyStatus(schedule, today = new Date()) {
+  const row = getCanonicalCurrentAmortRow(schedule, today);
+  const daysPastDue = Number(row?.daysPastDue || 0);
+  return {
+    daysPastDue,
+    status: getDelinquencyBucket(daysPastDue),
+    pastDueAmount: Number(row?.pastDueAmount || 0),
+    isDelinquent: daysPastDue > 0
+  };
+}
+
+// Payment in effect after a recast prepayment in the month of `isoDate`
+export function getRecastPayment(schedule, isoDate) {
+  const key = String(isoDate || "").slice(0, 7);
+  const row = (schedule || []).find(r =>
+    r.isRecast && r.loanDate && monthKeyFromDate(r.loanDate) === key
+  );
+  return row?.recastPayment ?? null;
+}
+
 // loanEngine.js
 export function getCurrentLoanBalance(loan, today = new Date()) {
   const sched = loan?.amort?.schedule || loan?.cumSchedule || [];
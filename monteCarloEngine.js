@@ -0,0 +1,238 @@
+/*
+  monteCarloEngine.js
+  -------------------
+  Portfolio loss simulation on top of valueLoan().
+
+  valueLoan gives one expected-value cash flow per loan. Here each path
+  draws whole-loan prepayment and default timing from the same monthly
+  SMM / PD vectors (scenario multipliers included), so the tail shows up.
+
+  Correlation is a one-factor (Vasicek) model: each path draws one
+  systematic factor Z for the whole horizon, and every loan's monthly PD
+  is conditioned on it. correlation = 0 makes loans independent.
+
+  A fixed seed reproduces a run exactly.
+
+  - No DOM access
+  - Pure given (items, options)
+*/
+
+// ================================
+// RANDOM NUMBERS (seeded)
+// ================================
+
+// mulberry32: small, fast, good enough for simulation
+export function createSeededRandom(seed = 1) {
+  let a = (Number(seed) >>> 0) || 1;
+  return function () {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function standardNormal(rng) {
+  // Box-Muller
+  let u = 0;
+  while (u === 0) u = rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+}
+
+// ================================
+// NORMAL DISTRIBUTION HELPERS
+// ================================
+
+function normalCdf(x) {
+  // Abramowitz & Stegun 7.1.26
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(x * x) / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+function normalInverse(p) {
+  // Acklam's rational approximation
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const pLow = 0.02425;
+
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+
+  if (p < pLow) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - pLow) {
+    const q = Math.sqrt(-2 * Math.log(1 - p));
+    return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+// PD given the path's systematic factor (unconditional PD when correlation = 0).
+// `threshold` is normalInverse(pd), computed once per loan-month.
+function conditionalPD(pd, threshold, z, correlation) {
+  if (correlation <= 0 || pd <= 0 || pd >= 1) return pd;
+  return normalCdf((threshold - Math.sqrt(correlation) * z) / Math.sqrt(1 - correlation));
+}
+
+// ================================
+// DISTRIBUTION HELPERS
+// ================================
+
+// Linear-interpolated percentile of an ascending array (p in 0..1)
+export function percentile(sorted, p) {
+  if (!sorted.length) return NaN;
+  const idx = Math.min(sorted.length - 1, Math.max(0, p * (sorted.length - 1)));
+  const lo = Math.floor(idx);
+  const hi = Math.ceil(idx);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+}
+
+// Loops for min/max: spreading a large path array into Math.min/max
+// overflows the call stack
+export function buildHistogram(values, binCount = 20) {
+  if (!values.length) return [];
+  let min = values[0];
+  let max = values[0];
+  for (const v of values) {
+    if (v < min) min = v;
+    if (v > max) max = v;
+  }
+  const width = max > min ? (max - min) / binCount : 1;
+  const bins = Array.from({ length: binCount }, (_, i) => ({
+    from: min + i * width,
+    to: min + (i + 1) * width,
+    count: 0
+  }));
+  values.forEach(v => {
+    const i = Math.min(binCount - 1, Math.floor((v - min) / width));
+    bins[i].count++;
+  });
+  return bins;
+}
+
+// ================================
+// PATH SIMULATION
+// ================================
+
+// Upper bound on paths per run (keeps the page responsive)
+export const MAX_PATHS = 100000;
+
+// One loan along one path: scheduled payments until it prepays in full,
+// defaults (recovery after the lag), or runs out of months
+function simulateLoanPath(sim, pdThresholds, rng, z, correlation) {
+  const { startBalance, scheduledCashFlows, scheduledBalances, monthlyPD, monthlySMM, recoveryPct, recoveryLag, monthlyDiscountRates } = sim;
+  // Same term-structure discounting as valueLoan
+  const discount = m => Math.pow(1 + (monthlyDiscountRates[m - 1] ?? monthlyDiscountRates.at(-1) ?? 0), m);
+
+  let balance = startBalance;
+  let pv = 0;
+  let loss = 0;
+  let defaulted = false;
+
+  for (let m = 1; m <= monthlyPD.length && balance > 0; m++) {
+    // Contractual path (grace, deferrals, capitalization) until it leaves
+    let remaining = scheduledBalances[m - 1] ?? 0;
+    let cashFlow = scheduledCashFlows[m - 1] ?? 0;
+
+    if (remaining > 0) {
+      if (rng() < monthlySMM[m - 1]) {
+        cashFlow += remaining;
+        remaining = 0;
+      } else if (rng() < conditionalPD(monthlyPD[m - 1], pdThresholds[m - 1], z, correlation)) {
+        const recovery = remaining * recoveryPct;
+        pv += recovery / discount(m + recoveryLag);
+        loss += remaining - recovery;
+        defaulted = true;
+        remaining = 0;
+      }
+    }
+
+    pv += cashFlow / discount(m);
+    balance = remaining;
+  }
+
+  return { pv, loss, defaulted };
+}
+
+// items: [{ loan, valuation }] with valuation from valueLoan (any scenario).
+// Loss % is net credit loss over original principal, like expectedLoss.
+// includePaths adds the per-path loss % and NPV arrays (one entry per path).
+export function simulatePortfolio({ items = [], paths = 1000, seed = 1, correlation = 0, bins = 20, includePaths = false } = {}) {
+  const rho = Math.min(0.99, Math.max(0, Number(correlation) || 0));
+  const pathCount = Math.min(MAX_PATHS, Math.max(1, Math.floor(Number(paths) || 1)));
+  const rng = createSeededRandom(seed);
+
+  const valid = items.filter(({ valuation }) => valuation && Number.isFinite(valuation.npv));
+  const principal = valid.reduce((sum, { loan }) => sum + (Number(loan?.principal) || 0), 0);
+  const simulated = valid
+    .filter(({ valuation }) => valuation.simulation)
+    .map(({ valuation }) => ({
+      sim: valuation.simulation,
+      pdThresholds: rho > 0 ? valuation.simulation.monthlyPD.map(normalInverse) : []
+    }));
+
+  const lossPct = [];
+  const npv = [];
+  const defaults = [];
+
+  for (let p = 0; p < pathCount; p++) {
+    const z = rho > 0 ? standardNormal(rng) : 0;
+    let pathLoss = 0;
+    let pathNpv = 0;
+    let pathDefaults = 0;
+
+    simulated.forEach(({ sim, pdThresholds }) => {
+      const r = simulateLoanPath(sim, pdThresholds, rng, z, rho);
+      pathLoss += r.loss;
+      pathNpv += r.pv;
+      if (r.defaulted) pathDefaults++;
+    });
+
+    lossPct.push(principal > 0 ? pathLoss / principal : 0);
+    npv.push(pathNpv);
+    defaults.push(pathDefaults);
+  }
+
+  const sortedLoss = [...lossPct].sort((a, b) => a - b);
+  const sortedNpv = [...npv].sort((a, b) => a - b);
+  const mean = values => values.reduce((s, v) => s + v, 0) / values.length;
+
+  return {
+    paths: pathCount,
+    seed,
+    correlation: rho,
+    loanCount: simulated.length,
+    principal,
+    loss: {
+      mean: mean(lossPct),
+      p50: percentile(sortedLoss, 0.5),
+      p95: percentile(sortedLoss, 0.95),
+      p99: percentile(sortedLoss, 0.99),
+      max: sortedLoss.at(-1)
+    },
+    npv: {
+      mean: mean(npv),
+      p1: percentile(sortedNpv, 0.01),
+      p5: percentile(sortedNpv, 0.05),
+      p50: percentile(sortedNpv, 0.5),
+      p95: percentile(sortedNpv, 0.95),
+      p99: percentile(sortedNpv, 0.99)
+    },
+    meanDefaults: mean(defaults),
+    lossHistogram: buildHistogram(lossPct, bins),
+    npvHistogram: buildHistogram(npv, bins),
+    ...(includePaths ? { lossPctByPath: lossPct, npvByPath: npv } : {})
+  };
+}
@@ -2,6 +2,8 @@
 // normalizeLoan.js
 // ==========================================
 
+import { normalizeLoanTerms, normalizePayments } from "./loanEngine.js?v=dev";
+
 function derivePurchaseDateFromOwnership(ownershipLots = []) {
   if (!Array.isArray(ownershipLots) || ownershipLots.length === 0) {
     return "";
@@ -60,6 +62,7 @@ const normalized = {
   principal: Number(l.principal ?? l.purchasePrice ?? 0),
   purchasePrice: Number(l.purchasePrice ?? l.principal ?? 0),
   nominalRate: Number(l.nominalRate ?? l.rate ?? 0),
+  ...normalizeLoanTerms(l),
 
   // --------------------------------
   // Term
@@ -72,6 +75,7 @@ const normalized = {
   // --------------------------------
   feeWaiver: l.feeWaiver || "none",
   events: Array.isArray(l.events) ? l.events : [],
+  payments: normalizePayments(l.payments),
 
   // --------------------------------
   // Ownership
@@ -18,7 +18,8 @@
 // UI must never recompute ROI, invested, or ownership
 
 
-import { buildAmortSchedule } from "./loanEngine.js?v=dev";
+import { buildAmortSchedule, getRecoverySummary } from "./loanEngine.js?v=dev";
+import { calculateXIRR } from "./irrEngine.js?v=dev";
 
 // =====================================================
 // INTERNAL HELPERS (PURE)
@@ -193,7 +194,9 @@ export function computeKPIs(loans, asOfMonth) {
       weightedROI: 0,
       projectedWeightedROI: 0,
       capitalRecoveredAmount: 0,
-      capitalRecoveryPct: 0
+      capitalRecoveryPct: 0,
+      paymentVariance: 0,
+      principalForgiven: 0
     };
   }
 
@@ -234,6 +237,8 @@ export function computeKPIs(loans, asOfMonth) {
 //
 // Notes:
 // - Cash = principal + interest − fees
+// - Months covered by a payments ledger (row.isActual) use what
+//   the borrower actually paid, not the contractual schedule
 // - Ownership-scaled
 // - Smooth, monotonic portfolio curve
 // ==========================================================
@@ -241,6 +246,8 @@ export function computeKPIs(loans, asOfMonth) {
 const asOf = clampToMonthEnd(asOfMonth) || new Date(asOfMonth);
 
 let recoveredCashTotal = 0;
+let scheduledCashTotal = 0;
+let forgivenTotal = 0;
 let totalInvested = 0;
 
 loans.forEach(l => {
@@ -266,12 +273,24 @@ const scheduledPrincipalThisMonth = Math.max(
   safeNum(r.principalPaid) - safeNum(r.prepayment)
 );
 
+const scheduledCashThisMonth = r.isActual === true
+  ? safeNum(r.scheduledPayment)
+  : scheduledPrincipalThisMonth + safeNum(r.interest);
+
+const receivedCashThisMonth = r.isActual === true
+  ? safeNum(r.actualPayment)
+  : scheduledCashThisMonth;
+
 const totalPaidThisMonth =
-  scheduledPrincipalThisMonth +
-  safeNum(r.interest) -
+  receivedCashThisMonth -
   safeNum(r.feeThisMonth);
 
 recoveredCashTotal += totalPaidThisMonth * ownershipPct;
+scheduledCashTotal +=
+  (scheduledCashThisMonth - safeNum(r.feeThisMonth)) * ownershipPct;
+
+// Modification write-offs: capital that will never come back
+forgivenTotal += safeNum(r.forgivenPrincipal) * ownershipPct;
 
     }
   });
@@ -287,7 +306,11 @@ return {
   weightedROI,
   projectedWeightedROI,
   capitalRecoveredAmount: recoveredCashTotal,
-  capitalRecoveryPct
+  capitalRecoveryPct,
+  // actual − scheduled cash through the as-of month (0 without a ledger)
+  paymentVariance: recoveredCashTotal - scheduledCashTotal,
+  // principal forgiven by loan modifications through the as-of month
+  principalForgiven: forgivenTotal
 };
 
 
@@ -298,6 +321,69 @@ return {
 
 
 
+// =====================================================
+// DATED RETURNS (XIRR)
+// =====================================================
+
+function parseLotDate(d) {
+  if (d instanceof Date) return isNaN(+d) ? null : d;
+  if (typeof d !== "string" || !d) return null;
+  const [y, m, day] = d.slice(0, 10).split("-").map(Number);
+  const out = new Date(y, m - 1, day || 1);
+  return isNaN(+out) ? null : out;
+}
+
+// Dated cash flows of one ownership lot:
+// - price paid on the lot's own purchase date
+// - the lot's share of owned cash (principal + interest − fees) each month
+// - with asOf, whatever is still outstanding is marked at 95% of
+//   balance on the as-of month end (same mark as roiSeries)
+// Without asOf the full projected schedule is used.
+export function buildLotCashFlows(loan, lot, { asOf = null } = {}) {
+  const sched = loan?.amort?.schedule;
+  const purchase = parseLotDate(lot?.purchaseDate) || parseLotDate(loan?.purchaseDate);
+  const pct = safeNum(lot?.pct);
+  if (!Array.isArray(sched) || !purchase || pct <= 0) return [];
+
+  const cutoff = asOf ? clampToMonthEnd(asOf) : null;
+  const flows = [{ date: purchase, amount: -safeNum(lot?.pricePaid) }];
+  let lastRow = null;
+
+  for (const r of sched) {
+    if (!(r?.loanDate instanceof Date) || r.loanDate < purchase) continue;
+    if (cutoff && r.loanDate > cutoff) break;
+
+    const cash = safeNum(r.principalPaid) + safeNum(r.interest) - safeNum(r.feeThisMonth);
+    if (cash !== 0) flows.push({ date: r.loanDate, amount: cash * pct });
+    lastRow = r;
+    if (r.isTerminal === true) break;
+  }
+
+  if (cutoff && lastRow && lastRow.isTerminal !== true && safeNum(lastRow.balance) > 0) {
+    flows.push({ date: cutoff, amount: safeNum(lastRow.balance) * 0.95 * pct });
+  }
+
+  return flows;
+}
+
+// Annualized XIRR of one lot; full solver result (rate, converged, reason ...)
+export function computeLotXirr(loan, lot, opts = {}) {
+  return calculateXIRR(buildLotCashFlows(loan, lot, opts));
+}
+
+// One XIRR across every lot the user holds, each on its own purchase date.
+// Omit user to include every lot on the loans passed in.
+export function computeUserXirr(loans, { user = null, asOf = null } = {}) {
+  const flows = [];
+  (Array.isArray(loans) ? loans : []).forEach(loan => {
+    const lots = Array.isArray(loan?.ownershipLots) ? loan.ownershipLots : [];
+    lots
+      .filter(lot => !user || lot?.user === user)
+      .forEach(lot => flows.push(...buildLotCashFlows(loan, lot, { asOf })));
+  });
+  return calculateXIRR(flows);
+}
+
 export function buildProjectedRoiTimeline(loans, opts = {}) {
 
   
@@ -657,6 +743,8 @@ export function deriveLoansWithRoi(formattedLoans) {
     return {
       ...l,
       amort: { schedule: amortSchedule },
+      // realized loss-given-default (null unless the loan defaulted)
+      recovery: getRecoverySummary(amortSchedule),
       scheduleWithOwnership,
       cumSchedule,
       balanceAtPurchase:
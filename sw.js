@@ -4,6 +4,9 @@ self.addEventListener('install', e => {
       return cache.addAll([
         '/loan-valuation/loanValuation.html',
         '/loan-valuation/valuationEngine.js',
+        '/loan-valuation/monteCarloEngine.js',
+        '/loan-valuation/irrEngine.js',
+        '/loan-valuation/calibrationEngine.js',
         '/loan-valuation/loans.json',  // etc.
       ]);
     })
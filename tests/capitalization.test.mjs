@@ -0,0 +1,21 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { makeLoan } from "./helpers.mjs";
+import { buildAmortSchedule, CAPITALIZATION_POLICIES } from "../loanEngine.js?v=dev";
+
+// 1-year grace then 5 years of repayment, with a 6-month deferral midway
+function finalBalance(capitalizationPolicy, events = []) {
+  const schedule = buildAmortSchedule(makeLoan({ termYears: 5, graceYears: 1, capitalizationPolicy, events }));
+  return schedule.at(-1).balance;
+}
+
+for (const policy of CAPITALIZATION_POLICIES) {
+  test(`"${policy}" capitalization pays off by maturity`, () => {
+    assert.ok(Math.abs(finalBalance(policy)) < 0.01, `residual ${finalBalance(policy)}`);
+  });
+
+  test(`"${policy}" capitalization pays off by maturity after a deferral`, () => {
+    const events = [{ type: "deferral", startDate: "2026-06-01", months: 6 }];
+    assert.ok(Math.abs(finalBalance(policy, events)) < 0.01, `residual ${finalBalance(policy, events)}`);
+  });
+}
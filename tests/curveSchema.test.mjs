@@ -0,0 +1,40 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { validateValuationCurves, compareVersions } from "../curveSchema.js";
+
+const CURVES = JSON.parse(readFileSync(new URL("../data/valuationCurves.json", import.meta.url), "utf8"));
+
+test("the repo's valuation curves pass validation", () => {
+  assert.deepEqual(validateValuationCurves(CURVES), []);
+});
+
+test("a risk-tier matrix cell that isn't a listed tier is rejected", () => {
+  const curves = structuredClone(CURVES);
+  curves.riskTierMatrix.base.B["Tier 2"] = "VERYHIGH";
+  assert.deepEqual(validateValuationCurves(curves), [
+    'riskTierMatrix.base.B["Tier 2"] must be one of LOW, MEDIUM, HIGH, VERY_HIGH (got "VERYHIGH")'
+  ]);
+});
+
+test("risk-tier matrix notches must be numbers", () => {
+  const curves = structuredClone(CURVES);
+  curves.riskTierMatrix.yearInSchoolNotches.A["3"] = "-1";
+  curves.riskTierMatrix.graduateNotch = null;
+  assert.deepEqual(validateValuationCurves(curves), ['riskTierMatrix.yearInSchoolNotches.A["3"] must be a number']);
+  curves.riskTierMatrix.graduateNotch = NaN;
+  assert.equal(validateValuationCurves(curves).length, 2);
+});
+
+test("a missing risk-tier matrix is rejected", () => {
+  const curves = structuredClone(CURVES);
+  delete curves.riskTierMatrix;
+  assert.deepEqual(validateValuationCurves(curves), ["riskTierMatrix is missing"]);
+});
+
+test("compareVersions orders dotted labels numerically", () => {
+  assert.ok(compareVersions("1.10", "1.9") > 0);
+  assert.ok(compareVersions("1.0", "1.1") < 0);
+  assert.equal(compareVersions("1.1", "1.1.0"), 0);
+  assert.ok(compareVersions("2", "1.9") > 0);
+});
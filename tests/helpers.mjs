@@ -0,0 +1,52 @@
+/*
+  tests/helpers.mjs
+  -----------------
+  Shared setup for the engine tests (node --test tests/).
+
+  The engines load their data with fetch(url); here fetch reads the
+  matching file from data/ instead, so tests run against the repo's own
+  curves and school tiers without a network.
+*/
+
+import { readFileSync } from "node:fs";
+
+const DATA_DIR = new URL("../data/", import.meta.url);
+
+globalThis.fetch = async url => {
+  const name = String(url).split("/").pop();
+  const body = readFileSync(new URL(name, DATA_DIR), "utf8");
+  return { ok: true, json: async () => JSON.parse(body) };
+};
+
+export const engine = await import("../valuationEngine.js?v=dev");
+
+await engine.loadValuationCurves("valuationCurves.json");
+await engine.loadSchoolTiers("schoolTiers.json");
+
+// Quiet the engines' console.warn noise for invalid inputs in tests
+console.warn = () => {};
+
+export const BORROWER = {
+  borrowerFico: 720,
+  cosignerFico: null,
+  yearInSchool: 3,
+  isGraduateStudent: false,
+  degreeType: "STEM",
+  opeid: ""
+};
+
+// 10-year level-pay loan in repayment from Jan 2024
+export function makeLoan(overrides = {}) {
+  return {
+    loanId: "TEST-1",
+    loanName: "Test loan",
+    loanStartDate: "2024-01-01",
+    purchaseDate: "2024-01-01",
+    principal: 10000,
+    nominalRate: 0.08,
+    termYears: 10,
+    graceYears: 0,
+    events: [],
+    ...overrides
+  };
+}
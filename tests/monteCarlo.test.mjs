@@ -0,0 +1,20 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { engine, BORROWER, makeLoan } from "./helpers.mjs";
+import { buildHistogram, simulatePortfolio, MAX_PATHS } from "../monteCarloEngine.js?v=dev";
+
+test("buildHistogram handles more values than fit on the call stack", () => {
+  const values = Array.from({ length: 500000 }, (_, i) => i % 1000);
+  const bins = buildHistogram(values, 10);
+  assert.equal(bins[0].from, 0);
+  assert.equal(bins.at(-1).to, 999);
+  assert.equal(bins.reduce((sum, b) => sum + b.count, 0), values.length);
+});
+
+test("simulatePortfolio caps paths at MAX_PATHS", () => {
+  const loan = makeLoan();
+  const valuation = engine.valueLoan({ loan, borrower: BORROWER, riskFreeRate: engine.RISK_FREE_RATE, asOfDate: "2026-09-15" });
+  const result = simulatePortfolio({ items: [{ loan, valuation }], paths: MAX_PATHS * 3 });
+  assert.equal(result.paths, MAX_PATHS);
+  assert.ok(Number.isFinite(result.loss.mean));
+});
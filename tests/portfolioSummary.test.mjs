@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { engine, BORROWER, makeLoan } from "./helpers.mjs";
+
+// A nearly paid-off loan next to a new one: the old loan's original
+// principal is large, but only its small remaining balance should count
+function book() {
+  const loans = [
+    makeLoan({ loanId: "OLD", loanStartDate: "2017-01-01", purchaseDate: "2017-01-01", principal: 50000, ownershipLots: [{ user: "a", pct: 1, purchaseDate: "2017-01-01", pricePaid: 50000 }] }),
+    makeLoan({ loanId: "NEW", loanStartDate: "2026-06-01", purchaseDate: "2026-06-01", principal: 10000, ownershipLots: [{ user: "a", pct: 0.5, purchaseDate: "2026-06-01", pricePaid: 5000 }] })
+  ];
+  return loans.map(loan => ({
+    loan,
+    borrower: BORROWER,
+    valuation: engine.valueLoan({ loan, borrower: BORROWER, riskFreeRate: engine.RISK_FREE_RATE, asOfDate: "2026-09-15" })
+  }));
+}
+
+function weightedByBalance(items, field, share = () => 1) {
+  let num = 0;
+  let den = 0;
+  items.forEach(item => {
+    const balance = item.valuation.simulation.startBalance * share(item);
+    num += item.valuation[field] * balance;
+    den += balance;
+  });
+  return num / den;
+}
+
+test("portfolio summary weights expected loss, WAL and IRR by current balance", () => {
+  const items = book();
+  const summary = engine.buildPortfolioSummary(items);
+  for (const field of ["expectedLoss", "wal", "irr"]) {
+    assert.ok(Math.abs(summary[field] - weightedByBalance(items, field)) < 1e-12, field);
+  }
+});
+
+test("with an owner, each loan weighs its balance times the owner's share", () => {
+  const items = book();
+  const summary = engine.buildPortfolioSummary(items, { user: "a" });
+  const share = ({ loan }) => loan.ownershipLots[0].pct;
+  assert.ok(Math.abs(summary.wal - weightedByBalance(items, "wal", share)) < 1e-12);
+});
+
+test("the Portfolio Total roll-up uses the same weighting", () => {
+  const items = book();
+  const summary = engine.buildPortfolioSummary(items);
+  const totals = engine.summarizePortfolioValuation(items);
+  for (const field of ["expectedLoss", "wal", "irr"]) {
+    assert.ok(Math.abs(summary[field] - totals[field]) < 1e-12, field);
+  }
+});
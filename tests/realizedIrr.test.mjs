@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { engine, BORROWER, makeLoan } from "./helpers.mjs";
+
+// Bought a year in at a discount, charged off six months later with no recovery
+function chargedOffLoan(pricePaid, lotDate = "2025-01-01") {
+  return makeLoan({
+    purchaseDate: "2025-01-01",
+    ownershipLots: [{ user: "u", pct: 1, pricePaid, purchaseDate: lotDate }],
+    events: [{ type: "default", date: "2025-07-01", recoveryAmount: 0 }]
+  });
+}
+
+function value(loan) {
+  return engine.valueLoan({ loan, borrower: BORROWER, riskFreeRate: engine.RISK_FREE_RATE, asOfDate: "2026-01-15" });
+}
+
+test("realized IRR starts at the purchase date and price paid", () => {
+  const v = value(chargedOffLoan(9000));
+  assert.equal(v.irrBasis, "realized");
+  assert.ok(v.irrDiagnostics.converged);
+
+  // -price in the purchase month, then collected cash monthly; the rate
+  // is the monthly IRR × 12, like calculateIRR
+  const monthly = v.irr / 1200;
+  const flows = [-9000];
+  for (let m = 0; m < 6; m++) flows[m] = (flows[m] || 0) + 121.33; // level payment, Jan–Jun 2025
+  const pv = flows.reduce((sum, cf, t) => sum + cf / Math.pow(1 + monthly, t), 0);
+  assert.ok(Math.abs(pv) < 1e-3, `PV at reported IRR: ${pv}`);
+  assert.ok(Math.abs(v.irr - v.irrDiagnostics.rate * 1200) < 1e-9);
+});
+
+test("a cheaper purchase price gives a higher realized IRR", () => {
+  assert.ok(value(chargedOffLoan(5000)).irr > value(chargedOffLoan(9000)).irr);
+});
+
+test("a lot bought after the charge-off is a total loss", () => {
+  const v = value(chargedOffLoan(4000, "2025-09-01"));
+  assert.equal(v.irr, -1200);
+  assert.match(v.irrDiagnostics.reason, /nothing collected/);
+});
@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { engine, BORROWER } from "./helpers.mjs";
+
+function withMatrix(matrix, fn) {
+  const saved = engine.VALUATION_CURVES.riskTierMatrix;
+  engine.VALUATION_CURVES.riskTierMatrix = matrix;
+  try {
+    return fn();
+  } finally {
+    engine.VALUATION_CURVES.riskTierMatrix = saved;
+  }
+}
+
+const B_TIER_2 = { ...BORROWER, borrowerFico: 730, yearInSchool: 1, schoolTier: "Tier 2" };
+
+test("matrix cells come from valuationCurves.json", () => {
+  const cell = engine.deriveRiskCell(B_TIER_2);
+  assert.equal(cell.ficoBand, "B");
+  assert.equal(cell.riskTier, engine.VALUATION_CURVES.riskTierMatrix.base.B["Tier 2"]);
+});
+
+test("a cell that isn't a listed tier falls to the worst tier", () => {
+  const matrix = structuredClone(engine.VALUATION_CURVES.riskTierMatrix);
+  matrix.base.B["Tier 2"] = "VERYHIGH";
+  const cell = withMatrix(matrix, () => engine.deriveRiskCell(B_TIER_2));
+  assert.equal(cell.riskTier, "VERY_HIGH");
+});
+
+test("a school tier missing from the matrix falls to the worst tier", () => {
+  const cell = engine.deriveRiskCell({ ...B_TIER_2, schoolTier: "Tier 9" });
+  assert.equal(cell.riskTier, "VERY_HIGH");
+});
+
+test("valuing without a risk-tier matrix fails loudly", () => {
+  assert.throws(() => withMatrix(undefined, () => engine.deriveRiskCell(B_TIER_2)), /riskTierMatrix/);
+});
@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { engine, makeLoan, BORROWER } from "./helpers.mjs";
+import { simulatePortfolio } from "../monteCarloEngine.js?v=dev";
+
+const { valueLoan, lotYieldFromPrice, lotPriceFromYield } = engine;
+
+// In school until Sep 2027, valued before the second $10,000 tranche funds
+const loan = makeLoan({
+  loanStartDate: "2025-09-01",
+  purchaseDate: "2025-09-01",
+  principal: 20000,
+  graceYears: 2,
+  events: [{ type: "disbursement", date: "2026-01-15", amount: 10000 }]
+});
+const asOfDate = "2025-10-15";
+const valuation = valueLoan({ loan, borrower: BORROWER, riskFreeRate: 0.04, asOfDate });
+
+// Sign changes of Σ cf / (1 + r)^t across a grid of monthly rates
+function npvSignChanges(cashFlows, from = -0.08, to = 0.5, step = 0.0005) {
+  let changes = 0;
+  let prev = null;
+  for (let r = from; r <= to; r += step) {
+    const sign = Math.sign(cashFlows.reduce((sum, cf, t) => sum + cf / Math.pow(1 + r, t), 0));
+    if (prev !== null && sign !== 0 && sign !== prev) changes++;
+    if (sign !== 0) prev = sign;
+  }
+  return changes;
+}
+
+test("a pending tranche shows up as a negative scheduled month", () => {
+  assert.ok(valuation.simulation.scheduledCashFlows.some(cf => cf < 0));
+  assert.ok(valuation.cashFlows.slice(1).some(cf => cf < 0));
+});
+
+test("NPV and IRR stay finite, and the IRR is the only root", () => {
+  assert.ok(Number.isFinite(valuation.npv));
+  assert.ok(Number.isFinite(valuation.irr), valuation.irrDiagnostics?.reason);
+  assert.equal(valuation.irrDiagnostics.converged, true);
+
+  const flows = [-valuation.simulation.startBalance, ...valuation.cashFlows.slice(1)];
+  assert.equal(npvSignChanges(flows), 1);
+});
+
+test("lot price and yield round-trip with the tranche in the projection", () => {
+  const lotArgs = { loan, borrower: BORROWER, settlementDate: asOfDate, pct: 0.5, riskFreeRate: 0.04 };
+  const { price } = lotPriceFromYield({ ...lotArgs, yieldRate: 0.07 });
+  const result = lotYieldFromPrice({ ...lotArgs, price });
+
+  assert.ok(Number.isFinite(price) && price > 0);
+  assert.equal(result.diagnostics.converged, true);
+  assert.ok(Math.abs(result.yieldRate - 0.07) < 1e-8);
+});
+
+test("Monte Carlo paths stay finite", () => {
+  const result = simulatePortfolio({ items: [{ loan, valuation }], paths: 200, seed: 3 });
+  assert.ok(Number.isFinite(result.npv.mean));
+  assert.ok(Number.isFinite(result.loss.mean));
+});
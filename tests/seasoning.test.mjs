@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { engine, BORROWER, makeLoan } from "./helpers.mjs";
+
+function value(loan, asOfDate) {
+  return engine.valueLoan({ loan, borrower: BORROWER, riskFreeRate: engine.RISK_FREE_RATE, asOfDate });
+}
+
+function withSeasoning(seasoning, fn) {
+  const saved = engine.VALUATION_CURVES.seasoning;
+  engine.VALUATION_CURVES.seasoning = seasoning;
+  try {
+    return fn();
+  } finally {
+    engine.VALUATION_CURVES.seasoning = saved;
+  }
+}
+
+// Monthly rates for curve month c (1-based) of the loan's tier
+function curveRates(valuation, c) {
+  const tier = engine.VALUATION_CURVES.riskTiers[valuation.riskTier];
+  const year = Math.ceil(c / 12) - 1;
+  const cum = tier.defaultCurve.cumulativeDefaultPct;
+  const annualPD = (cum[year] - (year ? cum[year - 1] : 0)) / 100;
+  return {
+    pd: 1 - Math.pow(1 - annualPD, 1 / 12),
+    smm: 1 - Math.pow(1 - tier.prepaymentCurve.valuesPct[year] / 100, 1 / 12)
+  };
+}
+
+test("a loan whose first payment is still ahead values the same with or without loan-age indexing", () => {
+  const loan = makeLoan({ loanStartDate: "2026-09-01", purchaseDate: "2026-09-01" });
+  const indexed = value(loan, "2026-08-20");
+  const fromYearOne = withSeasoning({ indexByLoanAge: false }, () => value(loan, "2026-08-20"));
+
+  assert.equal(indexed.seasoning.loanAgeMonths, 0);
+  assert.equal(indexed.npv, fromYearOne.npv);
+  assert.equal(indexed.expectedLoss, fromYearOne.expectedLoss);
+  assert.equal(indexed.wal, fromYearOne.wal);
+});
+
+test("an in-school loan reads curve month 1 in its first repayment month", () => {
+  // Repayment starts Sep 2027; the projection runs from Mar 2026
+  const loan = makeLoan({ loanStartDate: "2025-09-01", purchaseDate: "2025-09-01", graceYears: 2 });
+  const v = value(loan, "2026-03-15");
+  const { monthlyPD, monthlySMM } = v.simulation;
+  const firstRepayment = 18; // projection month of Sep 2027
+
+  assert.equal(v.seasoning.loanAgeMonths, 0);
+  assert.ok(monthlyPD.slice(0, firstRepayment - 1).every(pd => pd === 0));
+  assert.ok(monthlySMM.slice(0, firstRepayment - 1).every(smm => smm === 0));
+
+  const year1 = curveRates(v, 1);
+  assert.ok(Math.abs(monthlyPD[firstRepayment - 1] - year1.pd) < 1e-12);
+  assert.ok(Math.abs(monthlySMM[firstRepayment - 1] - year1.smm) < 1e-12);
+
+  // ...and year 2 twelve repayment months later
+  const year2 = curveRates(v, 13);
+  assert.ok(Math.abs(monthlyPD[firstRepayment + 11] - year2.pd) < 1e-12);
+  assert.ok(Math.abs(monthlySMM[firstRepayment + 11] - year2.smm) < 1e-12);
+});
+
+test("a seasoned loan picks up the curves at its age", () => {
+  const loan = makeLoan();
+  const indexed = value(loan, "2026-09-15");
+  const fromYearOne = withSeasoning({ indexByLoanAge: false }, () => value(loan, "2026-09-15"));
+  const age = indexed.seasoning.loanAgeMonths;
+
+  assert.ok(age > 12);
+  assert.ok(Math.abs(indexed.simulation.monthlyPD[0] - curveRates(indexed, age + 1).pd) < 1e-12);
+  assert.equal(fromYearOne.seasoning.curveStartMonth, 0);
+  assert.notEqual(indexed.npv, fromYearOne.npv);
+});
+
+test("curveVersions records the curve version and seasoning", () => {
+  const v = value(makeLoan(), "2026-09-15");
+  assert.equal(v.curveVersions.valuationCurves, "1.1");
+  assert.deepEqual(v.curveVersions.seasoning, { indexByLoanAge: true, conditionalDefaults: false });
+
+  const off = withSeasoning({ indexByLoanAge: false }, () => value(makeLoan(), "2026-09-15"));
+  assert.equal(off.curveVersions.seasoning.indexByLoanAge, false);
+});
@@ -0,0 +1,17 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { engine, BORROWER, makeLoan } from "./helpers.mjs";
+
+function value(scenario) {
+  return engine.valueLoan({ loan: makeLoan(), borrower: BORROWER, riskFreeRate: engine.RISK_FREE_RATE, asOfDate: "2026-09-15", scenario });
+}
+
+test("a longer recovery lag delays recoveries past maturity instead of dropping them", () => {
+  const base = value({ name: "lag-1" });
+  const stretched = value({ name: "lag-3", recoveryLagMultiplier: 3 });
+
+  // Expected loss is undiscounted, so only NPV may change
+  assert.ok(Math.abs(stretched.expectedLoss - base.expectedLoss) < 1e-12);
+  assert.ok(stretched.npv < base.npv);
+  assert.ok(stretched.cashFlows.length > base.simulation.scheduledCashFlows.length + 1);
+});
@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { engine, makeLoan, BORROWER } from "./helpers.mjs";
+
+const { valueLoan, buildValuationHistory } = engine;
+
+// Level payment on $10,000 at 8% over 120 months
+const PAYMENT = 121.33;
+
+const ledger = months => months.map(date => ({ date, amount: PAYMENT }));
+
+test("a payment recorded after the as-of date does not change that date's value", () => {
+  const paid = ledger(["2024-02-01", "2024-03-01", "2024-04-01"]);
+  const without = makeLoan({ payments: paid });
+  const withLater = makeLoan({ payments: [...paid, { date: "2024-08-01", amount: 4000 }] });
+
+  const asOfDate = "2024-05-15";
+  const a = valueLoan({ loan: without, borrower: BORROWER, riskFreeRate: 0.04, asOfDate });
+  const b = valueLoan({ loan: withLater, borrower: BORROWER, riskFreeRate: 0.04, asOfDate });
+
+  assert.ok(Number.isFinite(a.npv));
+  assert.equal(b.npv, a.npv);
+  assert.equal(b.simulation.startBalance, a.simulation.startBalance);
+  assert.deepEqual(b.cashFlows, a.cashFlows);
+});
+
+test("valuation history before a later payment matches the history without it", () => {
+  const paid = ledger(["2024-02-01", "2024-03-01", "2024-04-01"]);
+  const args = { borrower: BORROWER, riskFreeRate: 0.04, from: "2024-01-01", to: "2024-06-30" };
+
+  const a = buildValuationHistory({ ...args, loan: makeLoan({ payments: paid }) });
+  const b = buildValuationHistory({ ...args, loan: makeLoan({ payments: [...paid, { date: "2024-08-01", amount: 4000 }] }) });
+
+  assert.equal(b.length, a.length);
+  b.forEach((point, i) => assert.equal(point.npv, a[i].npv, `month ending ${point.date.toDateString()}`));
+});
+
+test("an ISO as-of date is the local calendar day", () => {
+  const loan = makeLoan();
+  const fromString = valueLoan({ loan, borrower: BORROWER, riskFreeRate: 0.04, asOfDate: "2024-06-01" });
+  const fromLocal = valueLoan({ loan, borrower: BORROWER, riskFreeRate: 0.04, asOfDate: new Date(2024, 5, 1) });
+
+  assert.equal(fromString.npv, fromLocal.npv);
+  assert.equal(fromString.projectionStartDate.getTime(), fromLocal.projectionStartDate.getTime());
+});
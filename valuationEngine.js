@@ -31,6 +31,166 @@ export async function loadValuationCurves(url) {
   VALUATION_CURVES = await res.json();
 }
 
+// Version and effective date of the loaded assumption sets; every
+// valueLoan result records these (see curveSchema.js). Seasoning is
+// recorded too: valuations from curves v1.0 (before loan-age indexing)
+// read every loan's curves from year 1.
+export function getCurveVersions() {
+  return {
+    valuationCurves: VALUATION_CURVES?.metadata?.version ?? null,
+    valuationCurvesEffectiveDate: VALUATION_CURVES?.metadata?.effectiveDate ?? null,
+    schoolTiers: SCHOOLTIERS?._metadata?.version ?? null,
+    schoolTiersEffectiveDate: SCHOOLTIERS?._metadata?.effectiveDate ?? null,
+    seasoning: getSeasoningSettings()
+  };
+}
+
+// ================================
+// PD SCORING MODEL (optional, data/pdModel.json)
+// ================================
+//
+// Alternative to the tier default curves: a logistic score of blended
+// FICO, school completion and earnings (schoolTiers.json), degree type and
+// year in school gives a borrower-specific lifetime default probability,
+// spread over the years by the model's timing shape. valueLoan uses it
+// when called with defaultModel: "score" and the model is loaded.
+
+// Pages remember the chosen default model ("tier" | "score") under this
+// localStorage key, so lot pricing in admin matches the valuation page
+export const DEFAULT_MODEL_STORAGE_KEY = "valuation-default-model";
+
+export let PD_MODEL = null;
+
+export async function loadPdModel(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error("Failed to load PD model");
+  PD_MODEL = await res.json();
+}
+
+// Completion rate and median earnings for the borrower's school
+// (null when schoolTiers.json has no figure)
+function getSchoolOutcomes(opeid) {
+  const school = (opeid && SCHOOLTIERS?.[opeid.trim()]) || null;
+  return {
+    gradRate: Number.isFinite(school?.grad_rate) ? school.grad_rate : null,
+    medianEarnings: Number(school?.median_earnings_10yr) > 0 ? school.median_earnings_10yr : null
+  };
+}
+
+// { lifetimePd, logOdds, contributions, inputs, cumulativeDefaultPct, modelVersion }
+// or null without a model. Missing school figures score at the reference.
+export function scoreBorrowerPd(borrower = {}, model = PD_MODEL) {
+  if (!model?.coefficients) return null;
+
+  const c = model.coefficients;
+  const ref = model.reference || {};
+  const cell = deriveRiskCell(borrower);
+  const outcomes = getSchoolOutcomes(borrower.opeid);
+
+  const inputs = {
+    blendedFico: cell.blendedFico > 0 ? cell.blendedFico : ref.missingFico ?? 620,
+    gradRate: outcomes.gradRate ?? ref.gradRate ?? 0.7,
+    medianEarnings: outcomes.medianEarnings ?? ref.medianEarnings ?? 55000,
+    degreeType: c.degreeType?.[borrower.degreeType] != null ? borrower.degreeType : "Other",
+    yearInSchool: cell.yearInSchool
+  };
+
+  const contributions = {
+    intercept: Number(c.intercept) || 0,
+    fico: (Number(c.ficoPer100) || 0) * (inputs.blendedFico - (ref.blendedFico ?? 700)) / 100,
+    gradRate: (Number(c.gradRate) || 0) * (inputs.gradRate - (ref.gradRate ?? 0.7)),
+    earnings: (Number(c.logEarnings) || 0) * Math.log(inputs.medianEarnings / (ref.medianEarnings ?? 55000)),
+    degreeType: Number(c.degreeType?.[inputs.degreeType]) || 0,
+    yearInSchool: Number(c.yearInSchool?.[inputs.yearInSchool]) || 0
+  };
+
+  const logOdds = Object.values(contributions).reduce((sum, v) => sum + v, 0);
+  const bounds = model.bounds || {};
+  const lifetimePd = Math.min(
+    bounds.maxLifetimePd ?? 1,
+    Math.max(bounds.minLifetimePd ?? 0, 1 / (1 + Math.exp(-logOdds)))
+  );
+
+  const shape = model.timingCumulativeShare?.length
+    ? model.timingCumulativeShare
+    : Array.from({ length: model.horizonYears || 10 }, (_, i) => (i + 1) / (model.horizonYears || 10));
+
+  return {
+    lifetimePd,
+    logOdds,
+    contributions,
+    inputs,
+    cumulativeDefaultPct: shape.map(share => Math.round(lifetimePd * share * 100 * 1000) / 1000),
+    modelVersion: model.metadata?.version ?? null
+  };
+}
+
+// ================================
+// TREASURY CURVE (risk-free term structure)
+// ================================
+//
+// Shape (data/treasuryCurve.json):
+// { curves: [{ date: "YYYY-MM-DD", source, points: [{ tenorMonths: 12, rate: 0.0352 }] }] }
+//
+// Without a loaded curve valueLoan discounts at the flat riskFreeRate.
+
+// Flat fallback the pages pass as riskFreeRate: 4.23%, the US 10Y Treasury
+// yield on Feb 02, 2026 (avg from Trading Economics/FRED/Treasury.gov)
+export const RISK_FREE_RATE = 0.0423;
+
+export let TREASURY_CURVE = null;
+
+export async function loadTreasuryCurve(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error("Failed to load treasury curve");
+  TREASURY_CURVE = await res.json();
+}
+
+function isoDateKey(d) {
+  return d.getFullYear() + "-" +
+    String(d.getMonth() + 1).padStart(2, "0") + "-" +
+    String(d.getDate()).padStart(2, "0");
+}
+
+// Latest curve dated on or before asOf (the earliest curve if all are later)
+export function selectTreasuryCurve(asOf = new Date(), table = TREASURY_CURVE) {
+  const curves = (table?.curves || [])
+    .filter(c => typeof c?.date === "string" && Array.isArray(c.points))
+    .map(c => ({
+      date: c.date,
+      source: c.source || "",
+      points: c.points
+        .map(p => ({ tenorMonths: Number(p.tenorMonths), rate: Number(p.rate) }))
+        .filter(p => p.tenorMonths > 0 && Number.isFinite(p.rate))
+        .sort((a, b) => a.tenorMonths - b.tenorMonths)
+    }))
+    .filter(c => c.points.length)
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  if (!curves.length) return null;
+  const key = isoDateKey(asOf);
+  return curves.filter(c => c.date <= key).at(-1) || curves[0];
+}
+
+// Annual spot rate at a tenor in months: linear between points, flat outside
+export function spotRateAt(curve, tenorMonths) {
+  const pts = curve.points;
+  if (tenorMonths <= pts[0].tenorMonths) return pts[0].rate;
+  for (let i = 1; i < pts.length; i++) {
+    if (tenorMonths <= pts[i].tenorMonths) {
+      const a = pts[i - 1];
+      const b = pts[i];
+      return a.rate + (b.rate - a.rate) * (tenorMonths - a.tenorMonths) / (b.tenorMonths - a.tenorMonths);
+    }
+  }
+  return pts[pts.length - 1].rate;
+}
+
+// Spot rates for months 1..months
+export function buildMonthlySpotRates(curve, months) {
+  return Array.from({ length: months }, (_, i) => spotRateAt(curve, i + 1));
+}
+
 // ================================
 // RISK DERIVATION
 // ================================
@@ -106,27 +266,134 @@ function getSchoolAdjBps(tier) {
 
 
 
-export function deriveRiskTier({ borrowerFico, cosignerFico, yearInSchool, isGraduateStudent }) {
+// ================================
+// RISK TIER MATRIX
+// ================================
+//
+// Which curve a loan gets: the FICO band × school tier grid gives a base
+// tier, then year in school (per FICO band) and graduate status move it
+// by whole notches. The matrix lives in valuationCurves.json under
+// "riskTierMatrix"; there is no built-in copy.
+//
+export function getRiskTierMatrix() {
+  const m = VALUATION_CURVES?.riskTierMatrix;
+  if (!m || !Array.isArray(m.tiers) || !m.tiers.length || !m.base) {
+    throw new Error("Valuation curves have no riskTierMatrix");
+  }
+  return {
+    tiers: m.tiers,
+    base: m.base,
+    yearInSchoolNotches: m.yearInSchoolNotches || {},
+    graduateNotch: Number(m.graduateNotch) || 0
+  };
+}
+
+// The matrix cell a borrower falls in, and the tier it resolves to.
+// schoolTier, when set, replaces the tier looked up from the school.
+export function deriveRiskCell({ borrowerFico, cosignerFico, yearInSchool, isGraduateStudent, school, opeid, schoolTier: schoolTierOverride } = {}) {
   const alpha = 0.7; // Calibrate later (0.6-0.8)
-const blendedFico = borrowerFico
-  ? Math.max(borrowerFico, alpha * borrowerFico + (1 - alpha) * (cosignerFico || borrowerFico))
-  : cosignerFico || 0;
-const fico = blendedFico;
-  const band = deriveFicoBand(fico);
-
-  // Simple, conservative base logic (expand later)
-  if (band === "A" && yearInSchool >= 3) return "LOW";
-  if (["A", "B"].includes(band)) return "MEDIUM";
-  if (["C", "D"].includes(band)) return "HIGH";
-  return "VERY_HIGH";
-
-  let finalRiskTier = riskTier;
-if (schoolTier === "Tier 1" && ["MEDIUM", "HIGH"].includes(riskTier)) {
-  finalRiskTier = "LOW";  // promotion for elite schools
-} else if (schoolTier === "Tier 3" && riskTier === "MEDIUM") {
-  finalRiskTier = "HIGH"; // demotion for risky schools
+  const blendedFico = borrowerFico
+    ? Math.max(borrowerFico, alpha * borrowerFico + (1 - alpha) * (cosignerFico || borrowerFico))
+    : cosignerFico || 0;
+  const ficoBand = deriveFicoBand(blendedFico);
+  const schoolTier = schoolTierOverride || getSchoolTier(school, opeid);
+  const yearKey = Number(yearInSchool) >= 5 ? "5+" : String(Number(yearInSchool) || 1);
+
+  const matrix = getRiskTierMatrix();
+  const row = matrix.base[ficoBand] || matrix.base.UNKNOWN || {};
+  const worstIndex = matrix.tiers.length - 1;
+
+  // A missing or misspelled cell must never improve a loan's credit:
+  // anything not in the tier list is read as the worst tier
+  let baseTier = row[schoolTier];
+  let baseIndex = matrix.tiers.indexOf(baseTier);
+  if (baseIndex < 0) {
+    console.warn(`Risk tier matrix has no valid tier for ${ficoBand} / ${schoolTier} (got "${baseTier}") — using ${matrix.tiers[worstIndex]}`);
+    baseIndex = worstIndex;
+    baseTier = matrix.tiers[worstIndex];
+  }
+
+  const yearNotch = Number(matrix.yearInSchoolNotches[ficoBand]?.[yearKey]) || 0;
+  const graduateNotch = isGraduateStudent ? matrix.graduateNotch : 0;
+  const index = Math.min(worstIndex, Math.max(0, baseIndex + yearNotch + graduateNotch));
+
+  return {
+    ficoBand,
+    blendedFico: Math.round(blendedFico),
+    schoolTier,
+    yearInSchool: yearKey,
+    isGraduateStudent: !!isGraduateStudent,
+    baseTier,
+    yearNotch,
+    graduateNotch,
+    riskTier: matrix.tiers[index]
+  };
 }
-  
+
+export function deriveRiskTier(borrower) {
+  return deriveRiskCell(borrower).riskTier;
+}
+
+// ================================
+// STRESS SCENARIOS
+// ================================
+//
+// Multipliers on the tier curves plus a parallel shift of the discount
+// rate. The named scenarios live in valuationCurves.json under
+// "stressScenarios"; without them only an unstressed base is offered.
+// "custom" is whatever the caller passes in.
+//
+export function getStressScenarios() {
+  const fromCurves = VALUATION_CURVES?.stressScenarios || { base: { label: "Base" } };
+  return Object.fromEntries(
+    Object.entries(fromCurves).map(([name, scenario]) => [name, normalizeStressScenario({ ...scenario, name })])
+  );
+}
+
+// Accepts a scenario name or an object; missing multipliers default to 1
+export function normalizeStressScenario(scenario = "base") {
+  if (typeof scenario === "string") {
+    return getStressScenarios()[scenario] || normalizeStressScenario({ name: scenario });
+  }
+
+  const multiplier = v => (Number.isFinite(Number(v)) && Number(v) >= 0 ? Number(v) : 1);
+  const name = scenario?.name || "custom";
+
+  return {
+    name,
+    label: scenario?.label || name.charAt(0).toUpperCase() + name.slice(1),
+    defaultMultiplier: multiplier(scenario?.defaultMultiplier),
+    prepaymentMultiplier: multiplier(scenario?.prepaymentMultiplier),
+    recoveryMultiplier: multiplier(scenario?.recoveryMultiplier),
+    recoveryLagMultiplier: multiplier(scenario?.recoveryLagMultiplier),
+    discountShiftBps: Number(scenario?.discountShiftBps) || 0
+  };
+}
+
+// ================================
+// SEASONING
+// ================================
+//
+// The default and prepayment curves run from the first month of
+// repayment. With indexByLoanAge a loan already N months into repayment
+// reads them from month N + 1 on, instead of starting over at year 1, and
+// a loan still in school or grace reads month 1 in its first repayment
+// month (no curve defaults or prepayments before it).
+// conditionalDefaults turns each year's cumulative-default step into a
+// rate on the loans that survived to that year. valuationCurves.json may
+// override these under "seasoning".
+//
+export const DEFAULT_SEASONING = {
+  indexByLoanAge: true,
+  conditionalDefaults: false
+};
+
+export function getSeasoningSettings() {
+  const fromCurves = VALUATION_CURVES?.seasoning || {};
+  return {
+    indexByLoanAge: fromCurves.indexByLoanAge ?? DEFAULT_SEASONING.indexByLoanAge,
+    conditionalDefaults: fromCurves.conditionalDefaults ?? DEFAULT_SEASONING.conditionalDefaults
+  };
 }
 
 // ================================
@@ -141,15 +408,41 @@ function discountFactor(rate, month) {
   return 1 / Math.pow(1 + rate / 12, month);
 }
 
+// Parallel shift (bps) used to re-price for duration and convexity
+export const RATE_SHIFT_BPS = 25;
+
+// Effective duration (years), convexity and DV01 ($ per 1bp) from prices
+// at the base rate and after shifting every discount rate down / up
+function rateSensitivityFromPrices(npv, npvDown, npvUp, shiftBps = RATE_SHIFT_BPS) {
+  const dy = shiftBps / 10000;
+  const valid = [npv, npvDown, npvUp].every(Number.isFinite) && npv !== 0 && dy > 0;
+  return {
+    shiftBps,
+    npvDown,
+    npvUp,
+    duration: valid ? (npvDown - npvUp) / (2 * npv * dy) : NaN,
+    convexity: valid ? (npvDown + npvUp - 2 * npv) / (npv * dy * dy) : NaN,
+    dv01: valid ? (npvDown - npvUp) / (2 * shiftBps) : NaN
+  };
+}
+
 // ================================
 // CORE VALUATION
 // ================================
 
 // Add this import at the top of valuationEngine.js (if not already there)
-import { buildAmortSchedule } from "./loanEngine.js?v=dev";
+import { buildAmortSchedule, addMonths } from "./loanEngine.js?v=dev";
+import { solveIRR, solveIRRAtTimes } from "./irrEngine.js?v=dev";
+
 
+// discountCurve: undefined picks the loaded Treasury curve for today,
+// null forces the flat riskFreeRate. asOfDate values the loan as of
+// another date (e.g. a lot's settlement date) instead of today.
+// defaultModel: "tier" uses the risk tier's default curve, "score" the
+// borrower's curve from the PD scoring model (tier curve if not loaded).
+export function valueLoan({ loan, borrower, riskFreeRate = 0.04, scenario = "base", discountCurve, asOfDate = null, defaultModel = "tier" }) {
+  const stress = normalizeStressScenario(scenario);
 
-export function valueLoan({ loan, borrower, riskFreeRate = 0.04 }) {
   // -----------------------------
   // LOAN BASICS
   // -----------------------------
@@ -163,11 +456,14 @@ if (originalPrincipal <= 0 || rate <= 0 || originalTermMonths <= 0) {
     loanId: loan.loanId,
     riskTier: "UNKNOWN",
     discountRate: null,
+    riskFreeRate,
     npv: NaN,
     npvRatio: null,
     expectedLoss: NaN,
     wal: NaN,
-    irr: NaN
+    irr: NaN,
+    scenario: stress.name,
+    curveVersions: getCurveVersions()
   };
 }
   
@@ -182,8 +478,14 @@ if (originalPrincipal <= 0 || rate <= 0 || originalTermMonths <= 0) {
   if (!VALUATION_CURVES) throw new Error("Valuation curves not loaded");
 
   // ── NEW: Incorporate historical events via amort schedule ──
-  const amort = buildAmortSchedule(loan);
-  const today = new Date();  // Current date: February 04, 2026
+  // Only what was known on the as-of date: ledger payments and recovery
+  // receipts posted later don't enter the schedule
+  const today = asOfDate ? parseSettlementDate(asOfDate) : new Date();
+  const amort = buildAmortSchedule(loan, { asOf: today });
+
+  // Risk-free term structure in effect today (null → flat riskFreeRate)
+  const rfCurve = discountCurve === undefined ? selectTreasuryCurve(today) : discountCurve;
+  const riskFreeAt = m => rfCurve ? spotRateAt(rfCurve, m) : riskFreeRate;
 
   // Find the latest row on or before today
   const currentRow = amort
@@ -191,25 +493,60 @@ if (originalPrincipal <= 0 || rate <= 0 || originalTermMonths <= 0) {
   .reverse()
   .find(r => r.loanDate <= today);
 
+// Principal written off by modifications so far (already out of the balance)
+const forgivenPrincipal = amort
+  .filter(r => r.loanDate <= today)
+  .reduce((sum, r) => sum + Number(r.forgivenPrincipal || 0), 0);
+
 let currentBalance = currentRow ? Number(currentRow.balance) : originalPrincipal;
+// Interest accrued but not yet capitalized is still owed by the borrower
+currentBalance += Number(currentRow?.accruedUncapitalizedInterest || 0);
 if (!Number.isFinite(currentBalance) || currentBalance < 0) currentBalance = 0;
 
-// Remaining months after current row
+// Remaining contractual path after the current row (grace, deferrals,
+// capitalization and any later recorded events already applied)
 const currentIndex = amort.indexOf(currentRow);
-const remainingMonths = currentIndex >= 0 ? amort.length - currentIndex - 1 : originalTermMonths;
+const futureRows = amort.slice(currentIndex + 1);
+const remainingMonths = currentIndex >= 0 ? futureRows.length : futureRows.length || originalTermMonths;
 const effectiveRemainingMonths = Math.max(remainingMonths, 1); // at least 1 month to allow calc
 
-if (currentBalance <= 0 || effectiveRemainingMonths <= 0) {
+// Loan age for the curves: months in repayment so far (in-school, grace
+// and deferral months don't season a loan)
+const loanAgeMonths = amort
+  .slice(0, currentIndex + 1)
+  .filter(r => !r.isDeferred && !r.isGrace)
+  .length;
+
+// Matrix cell that picks the curve (exposed so the UI can explain the tier)
+const riskCell = deriveRiskCell(borrower);
+
+// Charged off (default row on or before today) or written down to nothing:
+// no projection is left, so the IRR is the holder's realized one from purchase
+const chargedOff = amort.slice(0, currentIndex + 1).some(r => r.defaulted || r.isRecoveryPeriod);
+const endedInLoss = chargedOff || (currentBalance <= 0 && forgivenPrincipal > 0);
+
+if (endedInLoss || currentBalance <= 0 || effectiveRemainingMonths <= 0) {
+  const realizedIrr = endedInLoss ? solveRealizedIRR(realizedCashFlows(loan, amort)) : null;
 
   return {
     loanId: loan.loanId,
-    riskTier: deriveRiskTier(borrower),
+    riskTier: riskCell.riskTier,
+    riskCell,
     discountRate: riskFreeRate,
+    riskFreeRate,
+    discountCurveDate: rfCurve?.date ?? null,
     npv: 0,
     npvRatio: 0,
     expectedLoss: 0,
     wal: 0,
-    irr: 0,
+    irr: realizedIrr ? realizedIrr.annualPct : 0,
+    irrDiagnostics: realizedIrr,
+    irrBasis: realizedIrr ? "realized" : null,
+    chargedOff,
+    scenario: stress.name,
+    curveVersions: getCurveVersions(),
+    cashFlows: [],
+    simulation: null,
     riskBreakdown: {},
     curve: null
   };
@@ -219,12 +556,41 @@ if (currentBalance <= 0 || effectiveRemainingMonths <= 0) {
   const principal = currentBalance;     // Use seasoned balance
   const termMonths = remainingMonths;   // Use remaining term
 
-  const monthlyPayment = computeMonthlyPayment(principal, rate, termMonths);  // Recalculate for remaining
+  // Rate in effect today (variable-rate loans float off nominalRate)
+  const currentRate = Number(currentRow?.rate) || rate;
+
+  // Per surviving loan: what the schedule collects each month (net of any
+  // later disbursement) and the balance still owed after it. A month that
+  // funds a tranche is negative, and in-school payments before it mean
+  // more than one sign change; the IRR solver, Monte Carlo paths and lot
+  // pricing all take these as-is (tests/scheduledCashFlows.test.mjs)
+  const scheduledCashFlows = [];
+  const scheduledBalances = [];
+  for (let m = 1; m <= termMonths; m++) {
+    const row = futureRows[m - 1];
+    // payment + prepayment, but never more than interest + principal
+    // (the schedule's final payment is the full level amount)
+    const collected = row
+      ? Math.min(
+          Number(row.payment || 0) + Number(row.prepayment || 0),
+          Number(row.interest || 0) + Number(row.principalPaid || 0)
+        )
+      : 0;
+    scheduledCashFlows.push(collected - Number(row?.disbursement || 0));
+    scheduledBalances.push(row
+      ? Number(row.balance || 0) + Number(row.accruedUncapitalizedInterest || 0)
+      : 0);
+  }
+  // Whatever the schedule still leaves owed at maturity is due then
+  if (termMonths > 0 && scheduledBalances[termMonths - 1] > 0) {
+    scheduledCashFlows[termMonths - 1] += scheduledBalances[termMonths - 1];
+    scheduledBalances[termMonths - 1] = 0;
+  }
 
  // -----------------------------
 // RISK TIER & CURVE
 // -----------------------------
-const riskTier = deriveRiskTier(borrower) || "HIGH";  // fallback to HIGH if undefined/UNKNOWN
+const riskTier = riskCell.riskTier || "HIGH";  // fallback to HIGH if undefined/UNKNOWN
   
 let curve = VALUATION_CURVES?.riskTiers[riskTier];
 
@@ -245,7 +611,7 @@ if (!curve) {
                            borrower.degreeType === "Business" ? "Business" :
                            borrower.degreeType === "STEM" ? "STEM" : "Other";
   const degreeAdj = VALUATION_CURVES.degreeAdjustmentsBps?.[normalizedDegree] ?? 0;
-  const schoolTier = getSchoolTier(borrower.school, borrower.opeid);
+  const schoolTier = riskCell.schoolTier;
   const schoolAdj = getSchoolAdjBps(schoolTier);
   const yearKey = borrower.yearInSchool >= 5 ? "5+" : String(borrower.yearInSchool);
   const yearAdj = VALUATION_CURVES.yearInSchoolAdjustmentsBps?.[yearKey] ?? 0;
@@ -253,14 +619,26 @@ if (!curve) {
 
   const totalRiskBps = curve.riskPremiumBps + degreeAdj + schoolAdj + yearAdj + gradAdj;
 const cappedRiskBps = Math.min(totalRiskBps, 500); // cap premium at 5% for realism
-const discountRate = riskFreeRate + cappedRiskBps / 10000;
-  const monthlyDiscountRate = discountRate / 12;
+// Credit spread over the risk-free curve; month m discounts at spot(m) + spread
+const spreadRate = (cappedRiskBps + stress.discountShiftBps) / 10000;
+const discountFactor = m => Math.pow(1 + (riskFreeAt(m) + spreadRate) / 12, m);
 
   // -----------------------------
-  // INTERPOLATE CURVES TO MONTHLY VECTORS (now truncated to remaining term)
+  // INTERPOLATE CURVES TO MONTHLY VECTORS
+  // Curve month 1 is the first month of repayment; a seasoned loan picks
+  // up its curves at its current age, a loan not yet repaying at month 1
+  // once it starts (see getSeasoningSettings)
   // -----------------------------
-  function interpolateCumulativeDefaultsToMonthlyPD(cumDefaultsPct, maxMonths) {
-    const annualDefaults = cumDefaultsPct.map((cum, i) => (i === 0 ? cum : cum - cumDefaultsPct[i - 1]));
+  const seasoning = getSeasoningSettings();
+  const curveStartMonth = seasoning.indexByLoanAge ? loanAgeMonths : 0;
+
+  // Conditional: each year's defaults as a share of loans still alive at
+  // its start, not of the original pool
+  function interpolateCumulativeDefaultsToMonthlyPD(cumDefaultsPct, maxMonths, conditional = false) {
+    const annualDefaults = cumDefaultsPct.map((cum, i) => {
+      const prior = i === 0 ? 0 : cumDefaultsPct[i - 1];
+      return conditional && prior < 100 ? (cum - prior) / (100 - prior) * 100 : cum - prior;
+    });
     const monthlyPD = [];
     for (let y = 0; y < annualDefaults.length && monthlyPD.length < maxMonths; y++) {
       const annualPD = annualDefaults[y] / 100;
@@ -290,23 +668,45 @@ const discountRate = riskFreeRate + cappedRiskBps / 10000;
     return monthlySMM;
   }
 
-  const monthlyPD = interpolateCumulativeDefaultsToMonthlyPD(
-    curve.defaultCurve.cumulativeDefaultPct,
-    termMonths
-  );
-  const monthlySMM = interpolateAnnualCPRToMonthlySMM(
-    curve.prepaymentCurve.valuesPct,
-    termMonths
+  // Scenario multipliers scale the monthly rates (capped at 100%)
+  // Borrower-specific default curve from the scoring model, if chosen
+  const pdScore = defaultModel === "score" ? scoreBorrowerPd(borrower) : null;
+  const usedCurve = pdScore
+    ? { ...curve, defaultCurve: { ...curve.defaultCurve, cumulativeDefaultPct: pdScore.cumulativeDefaultPct } }
+    : curve;
+
+  const curvePD = interpolateCumulativeDefaultsToMonthlyPD(
+    usedCurve.defaultCurve.cumulativeDefaultPct,
+    curveStartMonth + termMonths,
+    seasoning.conditionalDefaults
   );
+  const curveSMM = interpolateAnnualCPRToMonthlySMM(curve.prepaymentCurve.valuesPct, curveStartMonth + termMonths);
+
+  // Curve month read in each projection month (0 = none yet). By loan age,
+  // only repayment months advance it: the first repayment month reads
+  // curve month 1, grace and in-school months before it read nothing, and
+  // a later deferral holds the loan at its age
+  const curveMonths = [];
+  let curveMonth = curveStartMonth;
+  for (let m = 1; m <= termMonths; m++) {
+    const row = futureRows[m - 1];
+    if (!seasoning.indexByLoanAge || !row || (!row.isGrace && !row.isDeferred)) curveMonth++;
+    curveMonths.push(curveMonth);
+  }
+
+  const monthlyPD = curveMonths.map(c => (c > 0 ? Math.min(1, curvePD[c - 1] * stress.defaultMultiplier) : 0));
+  const monthlySMM = curveMonths.map(c => (c > 0 ? Math.min(1, curveSMM[c - 1] * stress.prepaymentMultiplier) : 0));
 
-  const recoveryPct = curve.recovery.grossRecoveryPct / 100;
-  const recoveryLag = curve.recovery.recoveryLagMonths;
+  const recoveryPct = Math.min(1, (curve.recovery.grossRecoveryPct / 100) * stress.recoveryMultiplier);
+  const recoveryLag = Math.round(curve.recovery.recoveryLagMonths * stress.recoveryLagMultiplier);
 
   // -----------------------------
   // MONTHLY CASH FLOW LOOP + IRR COLLECTION
-  // Start from current balance and remaining months
+  // The share of the loan still alive (survival) follows the contractual
+  // schedule; each month prepayments and defaults take their share of
+  // the balance left after the scheduled payment
   // -----------------------------
-  let balance = principal;
+  let survival = 1;
   let npv = 0;
   let totalDefaults = 0;
   let totalRecoveries = 0;
@@ -317,14 +717,10 @@ const discountRate = riskFreeRate + cappedRiskBps / 10000;
   const recoveryQueue = new Array(termMonths + recoveryLag + 1).fill(0);
 
   for (let m = 1; m <= termMonths; m++) {
-    if (balance <= 0) {
-      cashFlows.push(0);
-      continue;
-    }
-
-    const interest = balance * monthlyLoanRate;
-    const principalPaid = Math.min(monthlyPayment - interest, balance);
-    let remaining = balance - principalPaid;
+    // After payoff only queued recoveries remain
+    const recoveryThisMonth = recoveryQueue[m] || 0;
+    const scheduledCF = survival * scheduledCashFlows[m - 1];
+    let remaining = survival * scheduledBalances[m - 1];
 
     const prepay = remaining * monthlySMM[m - 1];
     remaining -= prepay;
@@ -332,49 +728,99 @@ const discountRate = riskFreeRate + cappedRiskBps / 10000;
     const defaultAmt = remaining * monthlyPD[m - 1];
     remaining -= defaultAmt;
 
-    const recMonth = m + recoveryLag;
-    if (recMonth < recoveryQueue.length) {
-      recoveryQueue[recMonth] += defaultAmt * recoveryPct;
-    } else {
-      // Late recovery beyond queue — discount directly
-      const lateRecovery = defaultAmt * recoveryPct;
-      const discounted = lateRecovery / Math.pow(1 + monthlyDiscountRate, recMonth);
-      npv += discounted;
-      totalRecoveries += lateRecovery;
-    }
+    recoveryQueue[m + recoveryLag] += defaultAmt * recoveryPct;
+
+    const cashFlow = scheduledCF + prepay + recoveryThisMonth;
 
-    const recoveryThisMonth = recoveryQueue[m] || 0;
-    const cashFlow = interest + principalPaid + prepay + recoveryThisMonth;
-    
     cashFlows.push(cashFlow);
 
-    const discountedCF = cashFlow / Math.pow(1 + monthlyDiscountRate, m);
+    const discountedCF = cashFlow / discountFactor(m);
     npv += discountedCF;
     walNumerator += discountedCF * m;
     totalCF += discountedCF;
     totalDefaults += defaultAmt;
     totalRecoveries += recoveryThisMonth;
 
-    balance = remaining;
+    survival = scheduledBalances[m - 1] > 0
+      ? survival * (1 - monthlySMM[m - 1]) * (1 - monthlyPD[m - 1])
+      : 0;
+  }
+
+  // Recoveries on late defaults land after the last scheduled month (more
+  // of them under a stretched recovery lag); collect them, don't drop them
+  const lastRecoveryMonth = recoveryQueue.findLastIndex(r => r > 0);
+  for (let m = termMonths + 1; m <= lastRecoveryMonth; m++) {
+    const recovery = recoveryQueue[m];
+    cashFlows.push(recovery);
+
+    const discountedCF = recovery / discountFactor(m);
+    npv += discountedCF;
+    walNumerator += discountedCF * m;
+    totalCF += discountedCF;
+    totalRecoveries += recovery;
   }
 
   const npvRatio = originalPrincipal > 0 && Number.isFinite(npv) ? (npv / originalPrincipal) - 1 : null;
   const expectedLoss = originalPrincipal > 0 ? (totalDefaults - totalRecoveries) / originalPrincipal : 0;
   const wal = totalCF > 0 ? walNumerator / totalCF / 12 : NaN;
 
+  // Headline rates: the curve is read at the WAL tenor
+  const riskFreeUsed = riskFreeAt(Number.isFinite(wal) ? Math.max(1, Math.round(wal * 12)) : termMonths);
+  const discountRate = riskFreeUsed + spreadRate;
+
   
+  // Re-price the same cash flows with every discount rate shifted ±RATE_SHIFT_BPS
+  // (prepayments and defaults here do not depend on rates)
+  const priceAtShift = bps => cashFlows.reduce(
+    (sum, cf, m) => (m === 0 || !cf ? sum : sum + cf / Math.pow(1 + (riskFreeAt(m) + spreadRate + bps / 10000) / 12, m)),
+    0
+  );
+  const rateSensitivity = rateSensitivityFromPrices(npv, priceAtShift(-RATE_SHIFT_BPS), priceAtShift(RATE_SHIFT_BPS));
+
   const irrPrincipal = currentBalance > 0 ? currentBalance : originalPrincipal;
-const irr = calculateIRR(cashFlows, irrPrincipal);
+  const irrResult = solveValuationIRR(cashFlows, irrPrincipal);
+  const irr = irrResult.converged ? irrResult.rate * 12 * 100 : NaN;
 
   return {
     loanId: loan.loanId,
     riskTier,
+    riskCell,
     discountRate,
+    riskFreeRate: riskFreeUsed,
+    discountCurveDate: rfCurve?.date ?? null,
+    // cashFlows[m] falls m months after this schedule date
+    projectionStartDate: currentRow?.loanDate ?? null,
+    currentRate,
+    isModified: currentRow?.isModified === true,
+    forgivenPrincipal,
     npv,
     npvRatio,
     expectedLoss,
     wal,
+    duration: rateSensitivity.duration,
+    convexity: rateSensitivity.convexity,
+    dv01: rateSensitivity.dv01,
+    rateSensitivity,
     irr: Number.isFinite(irr) ? irr : NaN,
+    irrDiagnostics: irrResult,
+    scenario: stress.name,
+    curveVersions: getCurveVersions(),
+    cashFlows,
+    // Per-month inputs for path simulation (monteCarloEngine.js)
+    simulation: {
+      startBalance: principal,
+      scheduledCashFlows,
+      scheduledBalances,
+      monthlyPD,
+      monthlySMM,
+      recoveryPct,
+      recoveryLag,
+      // monthly discount rate per month (spot + spread) / 12
+      monthlyDiscountRates: Array.from(
+        { length: termMonths + recoveryLag },
+        (_, i) => (riskFreeAt(i + 1) + spreadRate) / 12
+      )
+    },
     riskBreakdown: {
       baseRiskBps: curve.riskPremiumBps,
       degreeAdj,
@@ -384,44 +830,463 @@ const irr = calculateIRR(cashFlows, irrPrincipal);
       totalRiskBps,
       schoolTier,
     },
-    curve: VALUATION_CURVES?.riskTiers[riskTier] || null
+    seasoning: {
+      loanAgeMonths,
+      curveStartMonth,
+      conditionalDefaults: seasoning.conditionalDefaults
+    },
+    defaultModel: pdScore ? "score" : "tier",
+    pdScore,
+    // Curves actually used (tier curve, or with the scored default curve)
+    curve: VALUATION_CURVES?.riskTiers[riskTier] ? usedCurve : null
+  };
+}
+
+// Same loan under several scenarios, keyed by scenario name
+export function valueLoanScenarios({ loan, borrower, riskFreeRate, scenarios = ["base", "adverse", "severe"], discountCurve, defaultModel }) {
+  return Object.fromEntries(
+    scenarios.map(s => {
+      const stress = normalizeStressScenario(s);
+      return [stress.name, valueLoan({ loan, borrower, riskFreeRate, scenario: stress, discountCurve, defaultModel })];
+    })
+  );
+}
+
+// Average of a valuation field weighted by current balance, over rows of
+// { valuation, balance }; rows without a balance or a finite value drop out
+function balanceWeighted(rows, field) {
+  let num = 0;
+  let den = 0;
+  rows.forEach(r => {
+    const v = Number(r.valuation[field]);
+    if (!Number.isFinite(v) || !(r.balance > 0)) return;
+    num += v * r.balance;
+    den += r.balance;
+  });
+  return den > 0 ? num / den : NaN;
+}
+
+// Portfolio roll-up of one scenario: NPV summed; expected loss, WAL and
+// IRR weighted by today's balance (the same weighting as
+// buildPortfolioSummary), so paid-down loans count for what is left
+export function summarizePortfolioValuation(items = []) {
+  const rows = items
+    .filter(({ valuation }) => valuation && Number.isFinite(valuation.npv))
+    .map(({ loan, valuation }) => ({
+      principal: Number(loan?.principal) || 0,
+      balance: Number(valuation.simulation?.startBalance) || 0,
+      valuation
+    }));
+
+  const principal = rows.reduce((sum, r) => sum + r.principal, 0);
+  const npv = rows.reduce((sum, r) => sum + r.valuation.npv, 0);
+  const expectedLoss = balanceWeighted(rows, "expectedLoss");
+
+  return {
+    principal,
+    balance: rows.reduce((sum, r) => sum + r.balance, 0),
+    npv,
+    npvRatio: principal > 0 ? npv / principal - 1 : null,
+    expectedLoss: Number.isFinite(expectedLoss) ? expectedLoss : 0,
+    wal: balanceWeighted(rows, "wal"),
+    irr: balanceWeighted(rows, "irr")
   };
 }
 
 // ================================
-// PAYMENT MATH
+// PORTFOLIO SUMMARY & CONCENTRATIONS
 // ================================
 
-function computeMonthlyPayment(principal, annualRate, months) {
-  const r = annualRate / 12;
-  return principal * r / (1 - Math.pow(1 + r, -months));
+export const CONCENTRATION_DIMENSIONS = {
+  school: "School",
+  schoolTier: "School Tier",
+  riskTier: "Risk Tier",
+  ficoBand: "FICO Band",
+  vintage: "Vintage"
+};
+
+function concentrationKeys(loan, borrower, valuation) {
+  return {
+    school: getSchoolName(borrower?.school, borrower?.opeid) || "Unknown",
+    schoolTier: valuation.riskCell?.schoolTier || "Unknown",
+    riskTier: valuation.riskTier || "Unknown",
+    ficoBand: valuation.riskCell?.ficoBand || "UNKNOWN",
+    vintage: String(loan.loanStartDate || "").slice(0, 4) || "Unknown"
+  };
 }
 
-// Add this function (simple bisection IRR solver - no library needed)
-export function calculateIRR(cashFlows, principal, guess = 0.1) {
-  const MAX_ITER = 100;
-  const PRECISION = 0.000001;
+// items: [{ loan, borrower, valuation }] (one scenario). Balances are
+// today's loan balances; with user, each loan counts at that user's lot
+// share and loans they do not own drop out. Expected loss, WAL and IRR
+// are balance-weighted; duration, convexity and DV01 come from the summed
+// shifted NPVs; concentrations are % of balance per dimension.
+export function buildPortfolioSummary(items = [], { user = null } = {}) {
+  const rows = items
+    .map(({ loan, borrower, valuation }) => {
+      if (!valuation || !Number.isFinite(valuation.npv)) return null;
+      const share = user
+        ? (loan.ownershipLots || [])
+            .filter(lot => lot.user === user)
+            .reduce((sum, lot) => sum + (Number(lot.pct) || 0), 0)
+        : 1;
+      if (!(share > 0)) return null;
+
+      const shifted = valuation.rateSensitivity;
+      return {
+        share,
+        valuation,
+        balance: (valuation.simulation?.startBalance || 0) * share,
+        npv: valuation.npv * share,
+        npvDown: Number.isFinite(shifted?.npvDown) ? shifted.npvDown * share : valuation.npv * share,
+        npvUp: Number.isFinite(shifted?.npvUp) ? shifted.npvUp * share : valuation.npv * share,
+        keys: concentrationKeys(loan, borrower, valuation)
+      };
+    })
+    .filter(Boolean);
+
+  const balance = rows.reduce((sum, r) => sum + r.balance, 0);
+  const npv = rows.reduce((sum, r) => sum + r.npv, 0);
+  // Re-priced as one book, so duration is NPV-weighted and DV01 adds up
+  const rates = rateSensitivityFromPrices(
+    npv,
+    rows.reduce((sum, r) => sum + r.npvDown, 0),
+    rows.reduce((sum, r) => sum + r.npvUp, 0)
+  );
 
-let min = 0;          // Start from 0% (no negative IRR allowed for these assets)
-let max = 1.0;        // 100% monthly = 1200% annual — plenty
-let irr = 0.008;      // ~10% annual monthly guess
-  
-  for (let i = 0; i < MAX_ITER; i++) {
-    let npv = -principal;
-    for (let t = 1; t < cashFlows.length; t++) {
-      npv += cashFlows[t] / Math.pow(1 + irr, t);
+  const concentrations = Object.fromEntries(
+    Object.keys(CONCENTRATION_DIMENSIONS).map(dim => {
+      const groups = new Map();
+      rows.forEach(r => {
+        const key = r.keys[dim];
+        const g = groups.get(key) || { key, loanCount: 0, balance: 0, npv: 0 };
+        g.loanCount++;
+        g.balance += r.balance;
+        g.npv += r.npv;
+        groups.set(key, g);
+      });
+      const list = [...groups.values()]
+        .map(g => ({ ...g, pct: balance > 0 ? g.balance / balance : 0 }))
+        .sort((a, b) => b.balance - a.balance);
+      return [dim, list];
+    })
+  );
+
+  return {
+    user,
+    loanCount: rows.length,
+    balance,
+    npv,
+    priceToPar: balance > 0 ? npv / balance : null,
+    expectedLoss: balanceWeighted(rows, "expectedLoss"),
+    wal: balanceWeighted(rows, "wal"),
+    irr: balanceWeighted(rows, "irr"),
+    duration: rates.duration,
+    convexity: rates.convexity,
+    dv01: rates.dv01,
+    concentrations
+  };
+}
+
+// ================================
+// INPUT SENSITIVITY (tornado)
+// ================================
+//
+// Each driver is bumped down and up by a standard amount with everything
+// else held at the loan's own inputs and scenario. FICO bumps are one
+// band (40 points); curve multipliers move ±25% on top of the scenario's.
+//
+export const SENSITIVITY_DRIVERS = [
+  { key: "borrowerFico", label: "Borrower FICO", downLabel: "−40", upLabel: "+40" },
+  { key: "cosignerFico", label: "Cosigner FICO", downLabel: "−40", upLabel: "+40" },
+  { key: "schoolTier", label: "School Tier", downLabel: "1 tier worse", upLabel: "1 tier better" },
+  { key: "yearInSchool", label: "Year in School", downLabel: "−1 yr", upLabel: "+1 yr" },
+  { key: "defaultMultiplier", label: "Default Rate", downLabel: "+25%", upLabel: "−25%" },
+  { key: "prepaymentMultiplier", label: "Prepayment Rate", downLabel: "−25%", upLabel: "+25%" },
+  { key: "recoveryMultiplier", label: "Recovery Rate", downLabel: "−25%", upLabel: "+25%" },
+  { key: "discountShiftBps", label: "Discount Spread", downLabel: "+50bp", upLabel: "−50bp" }
+];
+
+const SCHOOL_TIER_ORDER = ["Tier 1", "Tier 2", "Tier 3"];
+
+// Why a driver doesn't apply to this borrower (null when it does): no
+// cosigner to bump, or a school tier that isn't one of the ranked tiers
+function sensitivityDriverSkipReason(key, borrower) {
+  if (key === "cosignerFico" && !(Number(borrower.cosignerFico) > 0)) return "no cosigner";
+  if (key === "schoolTier" && !SCHOOL_TIER_ORDER.includes(deriveRiskCell(borrower).schoolTier)) return "school tier unknown";
+  return null;
+}
+
+// Borrower / scenario for one side of a driver. "down" is the side that
+// usually lowers value, so every bar reads the same way.
+function bumpSensitivityDriver(key, side, borrower, stress) {
+  const dir = side === "up" ? 1 : -1;
+  const b = { ...borrower };
+  const s = { ...stress };
+  const baseCell = deriveRiskCell(borrower);
+
+  switch (key) {
+    case "borrowerFico":
+      b.borrowerFico = Math.min(850, Math.max(300, (Number(borrower.borrowerFico) || baseCell.blendedFico) + 40 * dir));
+      break;
+    case "cosignerFico":
+      b.cosignerFico = Math.min(850, Math.max(300, Number(borrower.cosignerFico) + 40 * dir));
+      break;
+    case "schoolTier": {
+      const i = SCHOOL_TIER_ORDER.indexOf(baseCell.schoolTier);
+      b.schoolTier = SCHOOL_TIER_ORDER[Math.min(SCHOOL_TIER_ORDER.length - 1, Math.max(0, i - dir))];
+      break;
     }
+    case "yearInSchool":
+      b.yearInSchool = Math.min(5, Math.max(1, (Number(borrower.yearInSchool) || 1) + dir));
+      break;
+    case "defaultMultiplier":
+      s.defaultMultiplier = stress.defaultMultiplier * (1 - 0.25 * dir);
+      break;
+    case "prepaymentMultiplier":
+    case "recoveryMultiplier":
+      s[key] = stress[key] * (1 + 0.25 * dir);
+      break;
+    case "discountShiftBps":
+      s.discountShiftBps = stress.discountShiftBps - 50 * dir;
+      break;
+  }
+  return { borrower: b, scenario: s };
+}
+
+// Change in NPV and IRR (annual %) per driver, largest NPV swing first.
+// Drivers that don't apply to the borrower are listed under skipped:
+// { base: { npv, irr }, drivers: [{ key, label, down, up, swing }], skipped: [{ key, label, reason }] }
+export function buildSensitivityAnalysis({ loan, borrower = {}, riskFreeRate = 0.04, scenario = "base", discountCurve, defaultModel }) {
+  const stress = normalizeStressScenario(scenario);
+  const base = valueLoan({ loan, borrower, riskFreeRate, scenario: stress, discountCurve, defaultModel });
+
+  const side = (key, dir) => {
+    const bumped = bumpSensitivityDriver(key, dir, borrower, stress);
+    const v = valueLoan({ loan, riskFreeRate, discountCurve, defaultModel, ...bumped });
+    return {
+      npv: v.npv,
+      irr: v.irr,
+      riskTier: v.riskTier,
+      npvChange: v.npv - base.npv,
+      irrChange: Number.isFinite(v.irr) && Number.isFinite(base.irr) ? v.irr - base.irr : NaN
+    };
+  };
+
+  const skipped = SENSITIVITY_DRIVERS
+    .map(d => ({ key: d.key, label: d.label, reason: sensitivityDriverSkipReason(d.key, borrower) }))
+    .filter(d => d.reason);
+
+  const drivers = SENSITIVITY_DRIVERS.filter(d => !skipped.some(x => x.key === d.key)).map(d => {
+    const down = side(d.key, "down");
+    const up = side(d.key, "up");
+    const swing = Math.abs(up.npvChange - down.npvChange);
+    return { ...d, down, up, swing: Number.isFinite(swing) ? swing : 0 };
+  }).sort((a, b) => b.swing - a.swing);
+
+  return {
+    base: { npv: base.npv, irr: base.irr, riskTier: base.riskTier },
+    scenario: stress.name,
+    drivers,
+    skipped
+  };
+}
+
+// ================================
+// VALUATION HISTORY (mark-to-model)
+// ================================
+
+// First date the platform owned any of the loan
+function loanPurchaseDate(loan) {
+  const lotDates = (loan.ownershipLots || []).map(l => l?.purchaseDate).filter(Boolean).sort();
+  const d = loan.purchaseDate || lotDates[0] || loan.loanStartDate;
+  return d ? parseSettlementDate(d) : null;
+}
+
+// valueLoan at every month-end from purchase through `to` (plus `to`
+// itself when it is mid-month). Same borrower and scenario throughout;
+// each point uses the Treasury curve in effect on its date.
+export function buildValuationHistory({ loan, borrower, riskFreeRate = 0.04, scenario = "base", from = null, to = new Date(), defaultModel }) {
+  const start = from ? parseSettlementDate(from) : loanPurchaseDate(loan);
+  const end = parseSettlementDate(to);
+  if (!start || start > end) return [];
+
+  const dates = [];
+  for (let d = new Date(start.getFullYear(), start.getMonth() + 1, 0); d <= end; d = new Date(d.getFullYear(), d.getMonth() + 2, 0)) {
+    dates.push(d);
+  }
+  if (!dates.length || dates[dates.length - 1] < end) dates.push(end);
+
+  return dates.map(date => {
+    const v = valueLoan({ loan, borrower, riskFreeRate, scenario, asOfDate: date, defaultModel });
+    const balance = v.simulation?.startBalance ?? 0;
+    return {
+      date,
+      npv: v.npv,
+      balance,
+      pricePar: balance > 0 && Number.isFinite(v.npv) ? v.npv / balance : null,
+      discountRate: v.discountRate,
+      riskTier: v.riskTier,
+      discountCurveDate: v.discountCurveDate ?? null
+    };
+  });
+}
+
+// ================================
+// LOT PRICING (price ↔ yield)
+// ================================
+//
+// A lot buys pct of the loan's expected cash flows (valueLoan projection,
+// defaults/prepays/recoveries included) from its settlement date on.
+// Yields are annual with monthly compounding, like valuation IRR.
+// Prices are dirty: nothing is split out for accrued interest.
+
+// Expected lot cash flows seen from settlement. times[i] is in months;
+// the first one is fractional when settlement falls mid-month.
+export function projectLotCashFlows({ loan, borrower, settlementDate, pct = 1, riskFreeRate = 0.04, scenario = "base", discountCurve, defaultModel }) {
+  const settle = parseSettlementDate(settlementDate);
+  const valuation = valueLoan({ loan, borrower, riskFreeRate, scenario, discountCurve, asOfDate: settle, defaultModel });
+  const share = Math.max(0, Number(pct) || 0);
+
+  // Part of the current schedule month already elapsed at settlement
+  let elapsed = 0;
+  const start = valuation.projectionStartDate;
+  if (start instanceof Date) {
+    const next = addMonths(start, 1);
+    elapsed = Math.min(0.999, Math.max(0, (settle - start) / (next - start)));
+  }
+
+  const times = [];
+  const amounts = [];
+  (valuation.cashFlows || []).slice(1).forEach((cf, i) => {
+    if (!cf) return;
+    times.push(i + 1 - elapsed);
+    amounts.push(cf * share);
+  });
+
+  return {
+    settlementDate: settle,
+    pct: share,
+    lotBalance: (valuation.simulation?.startBalance || 0) * share,
+    times,
+    amounts,
+    valuation
+  };
+}
+
+function parseSettlementDate(d) {
+  if (d instanceof Date) return d;
+  if (typeof d === "string" && d) {
+    const [y, m, day] = d.slice(0, 10).split("-").map(Number);
+    return new Date(y, m - 1, day || 1);
+  }
+  return new Date();
+}
+
+// Price that earns yieldRate (annual decimal) on the lot
+export function lotPriceFromYield({ yieldRate, ...lotArgs }) {
+  const lot = projectLotCashFlows(lotArgs);
+  const y = Number(yieldRate) / 12;
+  const price = lot.amounts.reduce((sum, a, i) => sum + a / Math.pow(1 + y, lot.times[i]), 0);
+
+  return {
+    price,
+    yieldRate: Number(yieldRate),
+    lotBalance: lot.lotBalance,
+    pricePct: lot.lotBalance > 0 ? price / lot.lotBalance : null,
+    settlementDate: lot.settlementDate,
+    riskTier: lot.valuation.riskTier,
+    scenario: lot.valuation.scenario
+  };
+}
+
+// Yield (annual decimal) implied by paying price for the lot; NaN with the
+// solver's reason when there is nothing to solve (e.g. no cash flows left)
+export function lotYieldFromPrice({ price, ...lotArgs }) {
+  const lot = projectLotCashFlows(lotArgs);
+  const result = solveIRRAtTimes([0, ...lot.times], [-(Number(price) || 0), ...lot.amounts], { guess: 0.08 / 12 });
+
+  return {
+    yieldRate: result.converged ? result.rate * 12 : NaN,
+    price: Number(price) || 0,
+    lotBalance: lot.lotBalance,
+    pricePct: lot.lotBalance > 0 ? (Number(price) || 0) / lot.lotBalance : null,
+    settlementDate: lot.settlementDate,
+    riskTier: lot.valuation.riskTier,
+    scenario: lot.valuation.scenario,
+    diagnostics: result
+  };
+}
+
+// ================================
+// IRR
+// ================================
 
-    if (Math.abs(npv) < PRECISION) return irr * 12 * 100; // Annualize to %
+// Holder's monthly cash flows on a charged-off loan, from the first
+// purchase month: each ownership lot's price paid in its purchase month,
+// then the owned share of what was collected (net of disbursements).
+// Without lots, the whole loan at purchasePrice (or principal) on its
+// purchase date.
+function realizedCashFlows(loan, amort) {
+  const monthKey = d => d.getFullYear() * 12 + d.getMonth();
+  const lots = (Array.isArray(loan.ownershipLots) && loan.ownershipLots.length
+    ? loan.ownershipLots.map(lot => ({ date: lot?.purchaseDate, pct: Number(lot?.pct) || 0, price: Number(lot?.pricePaid) || 0 }))
+    : [{ date: null, pct: 1, price: Number(loan.purchasePrice ?? loan.principal) || 0 }]
+  )
+    .map(lot => {
+      const date = lot.date ? parseSettlementDate(lot.date) : loanPurchaseDate(loan);
+      return date && !isNaN(+date) ? { ...lot, month: monthKey(date) } : null;
+    })
+    .filter(lot => lot && lot.pct > 0);
+  if (!lots.length) return [];
+
+  const start = Math.min(...lots.map(lot => lot.month));
+  const flows = [0];
+  const add = (month, amount) => {
+    const t = month - start;
+    while (flows.length <= t) flows.push(0);
+    flows[t] += amount;
+  };
 
-    if (npv > 0) min = irr;
-    else max = irr;
+  lots.forEach(lot => add(lot.month, -lot.price));
+  amort.forEach(r => {
+    const date = r.loanDate instanceof Date ? r.loanDate : null;
+    if (!date) return;
+    const month = monthKey(date);
+    const share = lots.reduce((sum, lot) => sum + (lot.month <= month ? lot.pct : 0), 0);
+    if (share <= 0) return;
+    const collected = Math.min(
+      Number(r.payment || 0) + Number(r.prepayment || 0),
+      Number(r.interest || 0) + Number(r.principalPaid || 0)
+    );
+    add(month, (collected - Number(r.disbursement || 0)) * share);
+  });
+
+  return flows;
+}
 
-    irr = (min + max) / 2;
+// Realized IRR (solver result plus annualPct), annualized like
+// calculateIRR (monthly rate × 12) so it sits in the same column as live
+// valuations. Nothing collected at all is a total loss: a -100% monthly
+// rate, not a solver failure.
+function solveRealizedIRR(flows) {
+  if (flows.length < 2 || !flows.slice(1).some(cf => cf > 0)) {
+    return { rate: -1, annualPct: -1200, converged: true, iterations: 0, newtonSteps: 0, bisectionSteps: 0, residual: 0, bracket: null, reason: "nothing collected after purchase (total loss)" };
   }
+  const result = solveIRR(flows, { guess: 0 });
+  return { ...result, annualPct: result.converged ? result.rate * 12 * 100 : NaN };
+}
 
-const annualIrr = irr * 12 * 100;
-return (Number.isFinite(annualIrr) && annualIrr >= -5) ? annualIrr : NaN;  // Allow slight negative, floor at -5%
+// Monthly IRR of a valuation cash flow vector with cashFlows[0] replaced by
+// -principal. Full solver result (see irrEngine.js) for diagnostics.
+export function solveValuationIRR(cashFlows, principal, guess = 0.1) {
+  return solveIRR([-principal, ...cashFlows.slice(1)], { guess: guess / 12 });
+}
+
+// Annualized IRR in % (monthly rate × 12); NaN when the solver does not
+// converge. Negative returns are reported as-is.
+export function calculateIRR(cashFlows, principal, guess = 0.1) {
+  const result = solveValuationIRR(cashFlows, principal, guess);
+  return result.converged ? result.rate * 12 * 100 : NaN;
 }
 
 // In valueLoan(), generate monthly cashFlows array during the loop
@@ -1,4 +1,6 @@
-// worker.js — platform API (loans + platformConfig + loanValuation + Borrowers + schoolTiers)
+// worker.js — platform API (loans + platformConfig + loanValuation + Borrowers + schoolTiers + rateIndices + treasuryCurve + pdModel)
+
+import { validateValuationCurves, validateSchoolTiers, compareVersions } from "./curveSchema.js";
 
 function corsHeaders() {
   return {
@@ -36,6 +38,18 @@ function noStoreJson(body, status = 200) {
 
 const GITHUB_API_BASE = `https://api.github.com/repos`;
 
+// GitHub file contents are base64 of UTF-8 bytes (atob/btoa alone are Latin-1)
+function decodeBase64Utf8(b64) {
+  const binary = atob(b64.replace(/\n/g, ""));
+  return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+}
+
+function encodeBase64Utf8(text) {
+  let binary = "";
+  new TextEncoder().encode(text).forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary);
+}
+
 async function loadFromGitHub(env, path) {
   const url = `${GITHUB_API_BASE}/${env.GITHUB_OWNER}/${env.GITHUB_REPO}/contents/${path}`;
 
@@ -55,7 +69,7 @@ async function loadFromGitHub(env, path) {
 
   const data = await res.json();
   return {
-    content: JSON.parse(atob(data.content)),
+    content: JSON.parse(decodeBase64Utf8(data.content)),
     sha: data.sha
   };
 }
@@ -84,7 +98,7 @@ async function saveJsonToGitHub(env, { path, content, message, sha }) {
 
   const body = {
     message,
-    content: btoa(content),
+    content: encodeBase64Utf8(content),
     sha: latestSha,
     branch: "main"  // CHANGE TO YOUR ACTUAL BRANCH NAME
   };
@@ -132,6 +146,49 @@ async function saveJsonToGitHub(env, { path, content, message, sha }) {
   return noStoreJson({ success: true, sha: putData.content.sha });
 }
 
+// POST body for an assumption file: { sha, content }, or a 400 response
+// shaped like a validation failure when the body isn't a JSON object
+async function readVersionedBody(request, label) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (err) {
+    return { response: noStoreJson({ error: `Invalid ${label}`, details: [`Request body is not valid JSON: ${err.message}`] }, 400) };
+  }
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { response: noStoreJson({ error: `Invalid ${label}`, details: ["Request body must be a JSON object"] }, 400) };
+  }
+
+  const { sha, ...content } = body;
+  return { sha, content };
+}
+
+// Assumption files (valuation curves, school tiers): validated, and every
+// save must carry a version label above the current one, so a label
+// recorded on a valuation names exactly one set. Older versions stay in
+// the repo's commit history.
+async function saveVersionedFile(env, { path, content, meta, currentMeta, errors, label, sha }) {
+  if (errors.length) {
+    return noStoreJson({ error: `Invalid ${label}`, details: errors }, 400);
+  }
+
+  const { content: current } = await loadFromGitHub(env, path);
+  const currentVersion = currentMeta(current)?.version;
+  if (currentVersion && compareVersions(meta.version, currentVersion) <= 0) {
+    return noStoreJson(
+      { error: `Version ${meta.version} is not newer than the current v${currentVersion} — save under a higher version label` },
+      409
+    );
+  }
+
+  return saveJsonToGitHub(env, {
+    path,
+    content: JSON.stringify(content, null, 2),
+    message: `Update ${label} to v${meta.version} (effective ${meta.effectiveDate}) via admin`,
+    sha
+  });
+}
+
 async function handleFetch(request, env) {
   if (request.method === "OPTIONS") {
     return new Response(null, { headers: corsHeaders() });
@@ -258,12 +315,12 @@ console.log("Worker DEBUG: Content prepared for GitHub - purchaseDate preview (f
     }
 
     // ----------------------------------
-    // VALUATION CURVES (read-only for now)
+    // VALUATION CURVES (POST saves a new version)
     // ----------------------------------
     if (url.pathname === "/valuationCurves") {
-      if (request.method === "GET") {
-        const curvesPath = env.GITHUB_VALUATION_CURVES_PATH || "data/valuationCurves.json";
+      const curvesPath = env.GITHUB_VALUATION_CURVES_PATH || "data/valuationCurves.json";
 
+      if (request.method === "GET") {
         try {
           const { content, sha } = await loadFromGitHub(env, curvesPath);
           return withCORS(noStoreJson({ ...content, sha }));
@@ -273,16 +330,32 @@ console.log("Worker DEBUG: Content prepared for GitHub - purchaseDate preview (f
         }
       }
 
+      if (request.method === "POST") {
+        const { response, sha, content: curves } = await readVersionedBody(request, "valuation curves");
+        if (response) return withCORS(response);
+        return withCORS(
+          await saveVersionedFile(env, {
+            path: curvesPath,
+            content: curves,
+            meta: curves.metadata,
+            currentMeta: current => current?.metadata,
+            errors: validateValuationCurves(curves),
+            label: "valuation curves",
+            sha
+          })
+        );
+      }
+
       return withCORS(new Response("Method not allowed", { status: 405 }));
     }
 
     // ----------------------------------
-    // SCHOOL TIERS (read-only for now)
+    // SCHOOL TIERS (POST saves a new version)
     // ----------------------------------
     if (url.pathname === "/schoolTiers") {
-      if (request.method === "GET") {
-        const tiersPath = env.GITHUB_SCHOOLTIERS_PATH || "data/schoolTiers.json";
+      const tiersPath = env.GITHUB_SCHOOLTIERS_PATH || "data/schoolTiers.json";
 
+      if (request.method === "GET") {
         try {
           const { content, sha } = await loadFromGitHub(env, tiersPath);
           return withCORS(noStoreJson({ ...content, sha }));
@@ -292,6 +365,79 @@ console.log("Worker DEBUG: Content prepared for GitHub - purchaseDate preview (f
         }
       }
 
+      if (request.method === "POST") {
+        const { response, sha, content: tiers } = await readVersionedBody(request, "school tiers");
+        if (response) return withCORS(response);
+        return withCORS(
+          await saveVersionedFile(env, {
+            path: tiersPath,
+            content: tiers,
+            meta: tiers._metadata,
+            currentMeta: current => current?._metadata,
+            errors: validateSchoolTiers(tiers),
+            label: "school tiers",
+            sha
+          })
+        );
+      }
+
+      return withCORS(new Response("Method not allowed", { status: 405 }));
+    }
+
+    // ----------------------------------
+    // RATE INDICES (read-only for now)
+    // ----------------------------------
+    if (url.pathname === "/rateIndices") {
+      if (request.method === "GET") {
+        const indicesPath = env.GITHUB_RATE_INDICES_PATH || "data/rateIndices.json";
+
+        try {
+          const { content, sha } = await loadFromGitHub(env, indicesPath);
+          return withCORS(noStoreJson({ ...content, sha }));
+        } catch (err) {
+          console.error("Failed to load rateIndices.json from GitHub:", err);
+          return withCORS(noStoreJson({ error: "Failed to load rate indices", details: err.message }, 500));
+        }
+      }
+
+      return withCORS(new Response("Method not allowed", { status: 405 }));
+    }
+
+    // ----------------------------------
+    // TREASURY CURVE (read-only for now)
+    // ----------------------------------
+    if (url.pathname === "/treasuryCurve") {
+      if (request.method === "GET") {
+        const curvePath = env.GITHUB_TREASURY_CURVE_PATH || "data/treasuryCurve.json";
+
+        try {
+          const { content, sha } = await loadFromGitHub(env, curvePath);
+          return withCORS(noStoreJson({ ...content, sha }));
+        } catch (err) {
+          console.error("Failed to load treasuryCurve.json from GitHub:", err);
+          return withCORS(noStoreJson({ error: "Failed to load treasury curve", details: err.message }, 500));
+        }
+      }
+
+      return withCORS(new Response("Method not allowed", { status: 405 }));
+    }
+
+    // ----------------------------------
+    // PD SCORING MODEL (read-only for now)
+    // ----------------------------------
+    if (url.pathname === "/pdModel") {
+      if (request.method === "GET") {
+        const modelPath = env.GITHUB_PD_MODEL_PATH || "data/pdModel.json";
+
+        try {
+          const { content, sha } = await loadFromGitHub(env, modelPath);
+          return withCORS(noStoreJson({ ...content, sha }));
+        } catch (err) {
+          console.error("Failed to load pdModel.json from GitHub:", err);
+          return withCORS(noStoreJson({ error: "Failed to load PD model", details: err.message }, 500));
+        }
+      }
+
       return withCORS(new Response("Method not allowed", { status: 405 }));
     }
 